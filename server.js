@@ -9,6 +9,7 @@
  * Features:
  * - Real-time data reception from multiple ESP32 devices
  * - WebSocket communication for live updates
+ * - Optional MQTT transport (telemetry, commands, acks)
  * - REST API for data access
  * - Web dashboard with real-time charts
  * - Data logging and storage
@@ -17,6 +18,7 @@
  * - ADMIN CONTROLS: Full remote control
  * - Mock data generator for testing without hardware
  * - Command history and logging
+ * - Firmware over-the-air updates with tracked rollouts
  * - Authentication support
  * - Device type detection and handling
  * - Render deployment ready
@@ -24,20 +26,79 @@
 
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
 const socketIo = require('socket.io');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const mqtt = require('mqtt');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
-const DATA_DIR = path.join(__dirname, 'data');
-const LOG_FILE = path.join(DATA_DIR, 'sensor_log.json');
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const LEGACY_LOG_FILE = path.join(DATA_DIR, 'sensor_log.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
 const COMMAND_LOG_FILE = path.join(DATA_DIR, 'command_log.json');
+const DEVICES_FILE = path.join(DATA_DIR, 'devices.json');
+const ALERT_RULES_FILE = path.join(DATA_DIR, 'alert_rules.json');
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const TRIP_RULES_FILE = path.join(DATA_DIR, 'trip_rules.json');
+const TRIPS_FILE = path.join(DATA_DIR, 'trips.json');
+const PENDING_DEVICES_FILE = path.join(DATA_DIR, 'pending_devices.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const TARIFFS_FILE = path.join(DATA_DIR, 'tariffs.json');
+const ENERGY_LEDGER_FILE = path.join(DATA_DIR, 'energy_ledger.json');
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const CALIBRATIONS_FILE = path.join(DATA_DIR, 'calibrations.json');
+const COMMAND_RESULTS_FILE = path.join(DATA_DIR, 'command_results.json');
+const WEBHOOK_DEAD_LETTERS_FILE = path.join(DATA_DIR, 'webhook_dead_letters.json');
+const SIMULATOR_FILE = path.join(DATA_DIR, 'simulator.json');
+const RELAY_EVENTS_FILE = path.join(DATA_DIR, 'relay_events.json');
+const FIRMWARE_DIR = path.join(DATA_DIR, 'firmware');
+const FIRMWARE_FILE = path.join(DATA_DIR, 'firmware.json');
+const OTA_ROLLOUTS_FILE = path.join(DATA_DIR, 'ota_rollouts.json');
+const FIRMWARE_MAX_SIZE = parseInt(process.env.FIRMWARE_MAX_SIZE) || 4 * 1024 * 1024;
+const OTA_BASE_URL = process.env.OTA_BASE_URL || null; // Public server URL for firmware downloads
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null; // Bearer token for Prometheus scrapes
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE = parseInt(process.env.WEBHOOK_RETRY_BASE) || 2000; // ms, doubled per retry
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const AUTH_SECRET_FILE = path.join(DATA_DIR, 'auth_secret');
+const ADMIN_PASSWORD_FILE = path.join(DATA_DIR, 'admin_password');
+const TOKEN_TTL = parseInt(process.env.TOKEN_TTL) || 12 * 60 * 60; // seconds
+const BASIC_AUTH_CACHE_TTL = 60 * 1000; // ms a verified Basic credential skips scrypt
+const MAX_BASIC_AUTH_CACHE = 1000;
+const DEVICE_TIMEOUT = 60000; // Mark offline after 60 seconds without data
+const COMMAND_ACK_TIMEOUT = parseInt(process.env.COMMAND_ACK_TIMEOUT) || 10000; // ms to wait for commandAck
+const COMMAND_MAX_RETRIES = process.env.COMMAND_MAX_RETRIES != null ? parseInt(process.env.COMMAND_MAX_RETRIES) : 2; // Re-sends before timing out
+const RELAY_COMMAND_TTL = parseInt(process.env.RELAY_COMMAND_TTL) || 15 * 60; // seconds a relay on/off may wait in the queue
+const READINGS_DIR = path.join(DATA_DIR, 'readings');
+const READINGS_INDEX_FILE = path.join(READINGS_DIR, 'index.json');
+const READINGS_RETENTION_DAYS = parseInt(process.env.READINGS_RETENTION_DAYS) || 90;
+const READINGS_FLUSH_INTERVAL = 250; // ms between buffered segment writes
+const SHUTDOWN_FLUSH_TIMEOUT = 5000; // ms to wait for an in-flight readings write on shutdown
 
-// Simple authentication (in production, use proper auth)
+// Device authentication for /api/data and /ws register:
+//   open       - devices without an issued key are accepted (legacy behaviour)
+//   quarantine - unknown/keyless devices are rejected and listed for approval
+//   enforce    - unknown/keyless devices are rejected
+// Devices that have been issued a key must always present it.
+const DEVICE_AUTH_MODE = ['open', 'quarantine', 'enforce'].includes(process.env.DEVICE_AUTH_MODE)
+  ? process.env.DEVICE_AUTH_MODE
+  : 'quarantine';
+
+// Optional MQTT bridge. Devices publish to <prefix>/<deviceId>/telemetry,
+// .../ack, .../config and .../result; commands are published to
+// <prefix>/<deviceId>/cmd.
+const MQTT_URL = process.env.MQTT_URL || null; // e.g. mqtt://localhost:1883
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'power';
+
+// Initial admin account, created only when no users exist yet
 const ADMIN_USERNAME = process.env.ADMIN_USERNAME || 'admin';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 
 // Initialize Express app
 const app = express();
@@ -60,34 +121,28 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Simple auth middleware
-function basicAuth(req, res, next) {
-  const auth = req.headers.authorization;
-  
-  if (!auth) {
-    res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-  
-  const [username, password] = Buffer.from(auth.split(' ')[1], 'base64').toString().split(':');
-  
-  if (username === ADMIN_USERNAME && password === ADMIN_PASSWORD) {
-    next();
-  } else {
-    return res.status(401).json({ error: 'Invalid credentials' });
-  }
-}
-
 // Create data directory if it doesn't exist
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
   console.log('âœ" Created data directory');
 }
 
-// Initialize log file if it doesn't exist
-if (!fs.existsSync(LOG_FILE)) {
-  fs.writeFileSync(LOG_FILE, JSON.stringify({ sessions: [], readings: [] }, null, 2));
-  console.log('âœ" Initialized log file');
+// Create readings segment directory if it doesn't exist
+if (!fs.existsSync(READINGS_DIR)) {
+  fs.mkdirSync(READINGS_DIR, { recursive: true });
+  console.log('âœ" Created readings directory');
+}
+
+// Create firmware image directory if it doesn't exist
+if (!fs.existsSync(FIRMWARE_DIR)) {
+  fs.mkdirSync(FIRMWARE_DIR, { recursive: true });
+  console.log('âœ" Created firmware directory');
+}
+
+// Initialize sessions file if it doesn't exist
+if (!fs.existsSync(SESSIONS_FILE)) {
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify({ sessions: [] }, null, 2));
+  console.log('âœ" Initialized sessions file');
 }
 
 // Initialize command log file
@@ -96,66 +151,410 @@ if (!fs.existsSync(COMMAND_LOG_FILE)) {
   console.log('âœ" Initialized command log file');
 }
 
-function sendCommandToESP32(deviceId, command) {
+// ==================== USER ACCOUNTS ====================
+
+// Users have a role: viewer (read-only), operator (relay, toggle and
+// informational commands, acknowledging alerts/trips) or admin (everything,
+// including config, calibration, reset/restart and user management).
+// Requests authenticate with a Bearer token from POST /api/auth/login, or with
+// HTTP Basic credentials. Passwords are stored as scrypt hashes.
+// Every API route (and /metrics, which also takes METRICS_TOKEN) needs at
+// least the viewer role, and dashboard sockets need a token. Exceptions: /api/health (load balancer probe, counts only),
+// login, and the device-facing /api/data and firmware downloads, which use
+// device keys and signed URLs instead.
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+const OPERATOR_COMMANDS = ['on', 'off', 'enable', 'disable', 'manual', 'safety', 'buzzer', 'display', 'status', 'test', 'diag', 'stats'];
+
+let users = [];
+let authSecret = null;
+const basicAuthCache = new Map(); // sha256(username:password) -> { passwordHash, expiresAt }
+
+function scryptAsync(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(String(password), salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  
+  const candidate = await scryptAsync(password, salt);
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Helper: Load users and the token signing secret
+function loadUsers() {
+  try {
+    users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading users:', error);
+    }
+    users = [];
+  }
+  
+  authSecret = process.env.AUTH_SECRET || null;
+  if (!authSecret) {
+    try {
+      authSecret = fs.readFileSync(AUTH_SECRET_FILE, 'utf8').trim();
+    } catch (error) {
+      authSecret = crypto.randomBytes(32).toString('hex');
+      fs.writeFileSync(AUTH_SECRET_FILE, authSecret, { mode: 0o600 });
+    }
+  }
+}
+
+// Helper: Save users
+function saveUsers() {
+  try {
+    fs.writeFileSync(USERS_FILE, JSON.stringify({ users }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving users:', error);
+    return false;
+  }
+}
+
+// Helper: Create the first admin account on an empty user store
+async function bootstrapAdminUser() {
+  if (users.length > 0) return;
+  
+  const password = ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+  await createUser({ username: ADMIN_USERNAME, password, role: 'admin' });
+  
+  console.log(`âœ" Created admin user '${ADMIN_USERNAME}'`);
+  if (!ADMIN_PASSWORD) {
+    // Written to a private file rather than stdout, which ends up in host logs
+    fs.writeFileSync(ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600 });
+    console.log(`   Generated password saved to ${ADMIN_PASSWORD_FILE} - change it and delete the file`);
+  }
+}
+
+async function createUser({ username, password, role }) {
+  const now = new Date().toISOString();
+  const user = {
+    username,
+    passwordHash: await hashPassword(password),
+    role,
+    disabled: false,
+    tokenVersion: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  users.push(user);
+  saveUsers();
+  return user;
+}
+
+// Helper: Public view of a user
+function describeUser(user) {
+  const { passwordHash, tokenVersion, ...publicFields } = user;
+  return publicFields;
+}
+
+function findUser(username) {
+  return users.find(u => u.username === username) || null;
+}
+
+function hasRole(user, role) {
+  return Boolean(user && !user.disabled && ROLE_LEVELS[user.role] >= ROLE_LEVELS[role]);
+}
+
+// Helper: Role needed to send a raw device command
+function requiredRoleForCommand(command) {
+  const name = String(command || '').trim().split(/\s+/)[0].toLowerCase();
+  return OPERATOR_COMMANDS.includes(name) ? 'operator' : 'admin';
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.username,
+    role: user.role,
+    tv: user.tokenVersion,
+    iat: now,
+    exp: now + TOKEN_TTL
+  }));
+  const signature = base64url(crypto.createHmac('sha256', authSecret).update(`${header}.${payload}`).digest());
+  return `${header}.${payload}.${signature}`;
+}
+
+// Helper: Verify a token and return its (current) user, or null. The role is
+// read from the user record so role changes apply to existing tokens.
+function verifyToken(token) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+  
+  const candidate = Buffer.from(signature);
+  const expected = Buffer.from(base64url(crypto.createHmac('sha256', authSecret).update(`${header}.${payload}`).digest()));
+  if (candidate.length !== expected.length || !crypto.timingSafeEqual(candidate, expected)) {
+    return null;
+  }
+  
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+  } catch (error) {
+    return null;
+  }
+  
+  const user = findUser(claims.sub);
+  if (!user || user.disabled || claims.tv !== user.tokenVersion || claims.exp < Date.now() / 1000) {
+    return null;
+  }
+  return user;
+}
+
+// Helper: Check Basic credentials ('username:password'). Successful checks are
+// cached briefly so dashboards polling with Basic auth don't run scrypt on
+// every request; a password change invalidates them.
+async function verifyBasicPassword(user, decoded) {
+  const key = crypto.createHash('sha256').update(decoded).digest('hex');
+  const cached = basicAuthCache.get(key);
+  if (cached && cached.passwordHash === user.passwordHash && cached.expiresAt > Date.now()) {
+    return true;
+  }
+  
+  if (!await verifyPassword(decoded.slice(decoded.indexOf(':') + 1), user.passwordHash)) {
+    return false;
+  }
+  if (basicAuthCache.size >= MAX_BASIC_AUTH_CACHE) {
+    basicAuthCache.clear();
+  }
+  basicAuthCache.set(key, { passwordHash: user.passwordHash, expiresAt: Date.now() + BASIC_AUTH_CACHE_TTL });
+  return true;
+}
+
+// Helper: Resolve the user behind a request's Authorization header
+async function authenticateRequest(req) {
+  const auth = req.headers.authorization || '';
+  const [scheme, credentials] = auth.split(' ');
+  
+  if (scheme === 'Bearer') {
+    return verifyToken(credentials);
+  }
+  
+  if (scheme === 'Basic' && credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const user = findUser(decoded.slice(0, separator));
+    if (user && !user.disabled && await verifyBasicPassword(user, decoded)) {
+      return user;
+    }
+  }
+  
+  return null;
+}
+
+// Auth middleware: require a signed-in user with at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    authenticateRequest(req)
+      .then(user => {
+        if (!user) {
+          res.setHeader('WWW-Authenticate', 'Basic realm="Admin Area"');
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+        if (!hasRole(user, role)) {
+          return res.status(403).json({ error: `Requires ${role} role` });
+        }
+        req.user = user;
+        next();
+      })
+      .catch(next);
+  };
+}
+
+loadUsers();
+
+// Helper: Short random identifier, e.g. alert_3f9c2a1b7d4e
+function generateId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// ==================== TIME ZONE HELPERS ====================
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const zoneFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper: Wall-clock parts of a date in a time zone (weekday 0 = Sunday)
+function zonedParts(date, timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  
+  const parts = {};
+  zoneFormatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour) % 24,
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+// Helper: Local calendar date (YYYY-MM-DD) of a date in a time zone
+function zonedDateKey(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper: UTC instant of a wall-clock time in a time zone
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (utc) => {
+    const p = zonedParts(new Date(utc), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(utc / 1000) * 1000;
+  };
+  
+  const offset = offsetAt(wallClock);
+  const corrected = offsetAt(wallClock - offset);
+  return new Date(wallClock - corrected);
+}
+
+// ==================== METRICS ====================
+
+// In-process counters for the Prometheus /metrics endpoint
+const STORAGE_LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+const metrics = {
+  readingsIngested: {},  // deviceType -> count
+  readingsRejected: {},  // deviceId (registered devices only, else 'unknown') -> count
+  commands: {},          // status (sent, acked, failed, timed-out, ...) -> count
+  storageWrites: {}      // store -> { buckets: [], sum, count }
+};
+
+function countMetric(counter, label, amount = 1) {
+  counter[label] = (counter[label] || 0) + amount;
+}
+
+// Helper: Record how long a storage write took (start from process.hrtime.bigint())
+function observeStorageWrite(store, startedAt) {
+  const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+  const histogram = metrics.storageWrites[store] ||
+    (metrics.storageWrites[store] = { buckets: STORAGE_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  
+  STORAGE_LATENCY_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) histogram.buckets[i]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+function sendCommandToESP32(deviceId, command, commandId) {
      const ws = esp32Connections.get(deviceId);
+     const message = JSON.stringify({
+       deviceId,
+       commandId,
+       command,
+       timestamp: new Date().toISOString()
+     });
+     
      if (ws && ws.readyState === WebSocket.OPEN) {
-       const message = JSON.stringify({
-         deviceId,
-         command,
-         timestamp: new Date().toISOString()
-       });
        ws.send(message);
        console.log(`✓ Command sent to ESP32 ${deviceId}: ${command}`);
        return true;
+     } else if (isMqttReachable(deviceId)) {
+       mqttClient.publish(mqttTopic(deviceId, 'cmd'), message, { qos: 1 });
+       console.log(`✓ Command published to ESP32 ${deviceId} over MQTT: ${command}`);
+       return true;
      } else {
-       console.log(`✗ ESP32 ${deviceId} not connected via WebSocket`);
+       console.log(`✗ ESP32 ${deviceId} not connected via WebSocket or MQTT`);
        return false;
      }
    }
 
 
-// In-memory storage for active devices
-const activeDevices = new Map();
+// Device registry (persisted) and latest readings (in-memory)
+const deviceRegistry = new Map();
 const realtimeData = new Map();
-const deviceConfigs = new Map();
 
-// Helper: Load data from file
-function loadData() {
+// Helper: Load sessions from file
+function loadSessions() {
   try {
-    const data = fs.readFileSync(LOG_FILE, 'utf8');
+    const data = fs.readFileSync(SESSIONS_FILE, 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    console.error('Error loading data:', error);
-    return { sessions: [], readings: [] };
+    console.error('Error loading sessions:', error);
+    return { sessions: [] };
   }
 }
 
-// Helper: Save data to file
-function saveData(data) {
+// Helper: Save sessions to file
+function saveSessions(data) {
   try {
-    fs.writeFileSync(LOG_FILE, JSON.stringify(data, null, 2));
+    fs.writeFileSync(SESSIONS_FILE, JSON.stringify(data, null, 2));
     return true;
   } catch (error) {
-    console.error('Error saving data:', error);
+    console.error('Error saving sessions:', error);
     return false;
   }
 }
 
+// The command log lives in memory; changes are written to COMMAND_LOG_FILE
+// at most every COMMAND_LOG_SAVE_DELAY ms (and on shutdown).
+const MAX_COMMAND_LOG = 1000;
+const COMMAND_LOG_SAVE_DELAY = 1000;
+
+let commandLog = { commands: [] };
+let commandLogSaveTimer = null;
+
 // Helper: Load command log
 function loadCommandLog() {
   try {
-    const data = fs.readFileSync(COMMAND_LOG_FILE, 'utf8');
-    return JSON.parse(data);
+    commandLog = JSON.parse(fs.readFileSync(COMMAND_LOG_FILE, 'utf8'));
+    commandLog.commands = commandLog.commands || [];
   } catch (error) {
     console.error('Error loading command log:', error);
-    return { commands: [] };
+    commandLog = { commands: [] };
   }
 }
 
 // Helper: Save command log
-function saveCommandLog(data) {
+function saveCommandLog() {
+  clearTimeout(commandLogSaveTimer);
+  commandLogSaveTimer = null;
   try {
-    fs.writeFileSync(COMMAND_LOG_FILE, JSON.stringify(data, null, 2));
+    const startedAt = process.hrtime.bigint();
+    fs.writeFileSync(COMMAND_LOG_FILE, JSON.stringify(commandLog, null, 2));
+    observeStorageWrite('commands', startedAt);
     return true;
   } catch (error) {
     console.error('Error saving command log:', error);
@@ -163,53 +562,351 @@ function saveCommandLog(data) {
   }
 }
 
-// Helper: Log command
-function logCommand(deviceId, command, source, success = true) {
-  const commandLog = loadCommandLog();
-  
+// Helper: Save the command log once the current burst of changes is over
+function scheduleCommandLogSave() {
+  if (!commandLogSaveTimer) {
+    commandLogSaveTimer = setTimeout(saveCommandLog, COMMAND_LOG_SAVE_DELAY);
+  }
+}
+
+// Helper: Log command. Every command gets a commandId and moves through
+// pending -> sent -> acked | failed | timed-out; the entry is updated in place.
+// Commands for disconnected devices wait as 'queued' (until expiresAt, if set).
+// Relay 'on' commands for a relay latched off by a protective trip end as 'blocked'.
+function logCommand(deviceId, command, source, options = {}) {
   const entry = {
+    commandId: generateId('cmd'),
     deviceId,
     command,
     source,
-    success,
-    timestamp: new Date().toISOString()
+    user: options.user || null,
+    status: 'pending',
+    success: null,
+    attempts: 0,
+    timestamp: new Date().toISOString(),
+    expiresAt: options.expiresIn ? new Date(Date.now() + options.expiresIn * 1000).toISOString() : null,
+    sentAt: null,
+    ackedAt: null,
+    completedAt: null,
+    error: null,
+    response: null,
+    resultId: null
   };
   
   commandLog.commands.push(entry);
   
-  // Keep only last 1000 commands
-  if (commandLog.commands.length > 1000) {
-    commandLog.commands = commandLog.commands.slice(-1000);
+  // Keep only the last MAX_COMMAND_LOG commands; queued ones that fall out
+  // expire instead of waiting forever
+  if (commandLog.commands.length > MAX_COMMAND_LOG) {
+    commandLog.commands.slice(0, -MAX_COMMAND_LOG)
+      .filter(c => c.status === 'queued')
+      .forEach(c => finishCommand(c.commandId, 'expired', { error: 'Dropped from full command log' }));
+    commandLog.commands = commandLog.commands.slice(-MAX_COMMAND_LOG);
   }
   
-  saveCommandLog(commandLog);
+  scheduleCommandLogSave();
   return entry;
 }
 
-// Helper: Add reading to storage
-function addReading(deviceId, reading) {
-  const data = loadData();
+// Helper: Find a logged command by ID
+function getCommand(commandId) {
+  return commandLog.commands.find(c => c.commandId === commandId) || null;
+}
+
+// Helper: Update a logged command and notify dashboards
+function updateCommand(commandId, changes) {
+  const entry = commandLog.commands.find(c => c.commandId === commandId);
   
-  const entry = {
+  if (!entry) {
+    return null;
+  }
+  
+  Object.assign(entry, changes);
+  scheduleCommandLogSave();
+  io.emit('commandStatus', entry);
+  return entry;
+}
+
+// ==================== COMMAND DELIVERY ====================
+
+const inFlightCommands = new Map(); // commandId -> ack timeout
+
+// Log a command and deliver it to the device, or queue it until the device
+// reconnects. Options: { expiresIn } seconds (relay on/off commands default to
+// RELAY_COMMAND_TTL so a stale switch isn't applied hours later). Returns the
+// command entry.
+function dispatchCommand(deviceId, command, source, options = {}) {
+  if (options.expiresIn == null && parseDeviceRelayCommand(deviceId, command)) {
+    options = { ...options, expiresIn: RELAY_COMMAND_TTL };
+  }
+  const entry = logCommand(deviceId, command, source, options);
+  noteEnergyResetCommand(entry);
+  io.emit('command', { deviceId, command, commandId: entry.commandId, source });
+  emitWebhookEvent('command.issued', { deviceId, command, commandId: entry.commandId, source, user: entry.user });
+  return attemptDelivery(entry);
+}
+
+// Helper: Send (or re-send) a command and wait for its ack
+function attemptDelivery(entry) {
+  const attempts = entry.attempts + 1;
+  
+  // Checked on every send so queued and re-sent commands can't bypass a latch
+  if (latchedTripsFor(entry.deviceId, entry.command).length > 0) {
+    console.log(`âœ— Blocked ${entry.command} to ${entry.deviceId}: relay is latched off by a protective trip`);
+    return finishCommand(entry.commandId, 'blocked', { attempts: entry.attempts, error: 'Relay is latched off by a protective trip' });
+  }
+  
+  if (!sendCommandToESP32(entry.deviceId, entry.command, entry.commandId)) {
+    console.log(`â†' Queued for ${entry.deviceId} until it reconnects: ${entry.command}`);
+    return updateCommand(entry.commandId, { status: 'queued' });
+  }
+  
+  countMetric(metrics.commands, 'sent');
+  const updated = updateCommand(entry.commandId, { status: 'sent', attempts, sentAt: new Date().toISOString() });
+  inFlightCommands.set(entry.commandId, setTimeout(() => handleAckTimeout(entry.commandId), COMMAND_ACK_TIMEOUT));
+  return updated;
+}
+
+function handleAckTimeout(commandId) {
+  inFlightCommands.delete(commandId);
+  const entry = getCommand(commandId);
+  
+  if (!entry || entry.status !== 'sent') {
+    return;
+  }
+  
+  if (entry.attempts <= COMMAND_MAX_RETRIES) {
+    console.log(`âš ï¸  No ack for ${commandId} (${entry.command}) from ${entry.deviceId}, retrying (${entry.attempts}/${COMMAND_MAX_RETRIES})`);
+    attemptDelivery(entry);
+  } else {
+    console.log(`âœ— Command ${commandId} (${entry.command}) to ${entry.deviceId} timed out`);
+    finishCommand(commandId, 'timed-out', { error: `No acknowledgement after ${entry.attempts} attempt(s)` });
+  }
+}
+
+// Helper: Move a command to a final state
+function finishCommand(commandId, status, changes = {}) {
+  clearTimeout(inFlightCommands.get(commandId));
+  inFlightCommands.delete(commandId);
+  countMetric(metrics.commands, status);
+  
+  const entry = updateCommand(commandId, {
+    ...changes,
+    status,
+    success: status === 'acked',
+    completedAt: new Date().toISOString()
+  });
+  
+  if (entry) {
+    emitWebhookEvent('command.completed', entry);
+  }
+  return entry;
+}
+
+// Helper: Match a commandAck to its command. Firmware that does not echo
+// commandId is matched to its oldest unacknowledged command with the same text.
+function handleCommandAck(deviceId, data) {
+  let commandId = data.commandId;
+  
+  if (!commandId) {
+    const match = commandLog.commands
+      .find(c => c.deviceId === deviceId && c.status === 'sent' && c.command === data.command);
+    commandId = match?.commandId;
+  }
+  
+  // A device may only acknowledge its own commands
+  const entry = commandId ? getCommand(commandId) : null;
+  if (!entry || entry.deviceId !== deviceId) {
+    console.log(`âš ï¸  Unmatched ack from ${deviceId}: ${data.command}`);
+    return null;
+  }
+  
+  // Duplicate acks are ignored; a late ack still records the outcome
+  if (entry.status !== 'sent' && entry.status !== 'timed-out') {
+    return entry;
+  }
+  
+  const success = data.success !== false;
+  return finishCommand(entry.commandId, success ? 'acked' : 'failed', {
+    ackedAt: new Date().toISOString(),
+    error: success ? null : (data.error || 'Device reported failure'),
+    response: data.message || null
+  });
+}
+
+// Helper: Queued commands for a device, oldest first
+function getQueuedCommands(deviceId) {
+  return commandLog.commands.filter(c => c.deviceId === deviceId && c.status === 'queued');
+}
+
+function isCommandExpired(entry, now = Date.now()) {
+  return Boolean(entry.expiresAt && new Date(entry.expiresAt).getTime() <= now);
+}
+
+// Deliver queued commands in order once a device registers on /ws
+function flushCommandQueue(deviceId) {
+  const queued = getQueuedCommands(deviceId);
+  
+  if (queued.length > 0) {
+    console.log(`â†' Delivering ${queued.length} queued command(s) to ${deviceId}`);
+  }
+  
+  queued.forEach(entry => {
+    if (isCommandExpired(entry)) {
+      finishCommand(entry.commandId, 'expired', { error: 'Expired while queued' });
+    } else {
+      attemptDelivery(entry);
+    }
+  });
+}
+
+// Helper: Mark queued commands past their expiry
+function expireQueuedCommands() {
+  const now = Date.now();
+  commandLog.commands
+    .filter(c => c.status === 'queued' && isCommandExpired(c, now))
+    .forEach(c => finishCommand(c.commandId, 'expired', { error: 'Expired while queued' }));
+}
+
+// Helper: Cancel a queued command
+function cancelQueuedCommand(entry, cancelledBy) {
+  return finishCommand(entry.commandId, 'cancelled', {
+    cancelledAt: new Date().toISOString(),
+    cancelledBy
+  });
+}
+
+// Helper: Command options from a request: issuing user and queue expiry
+// (expiresIn seconds, body or query)
+function commandOptions(req) {
+  const options = { user: req.user?.username || null };
+  const expiresIn = parseFloat(req.body?.expiresIn ?? req.query.expiresIn);
+  if (expiresIn > 0) {
+    options.expiresIn = expiresIn;
+  }
+  return options;
+}
+
+// Commands still in flight when the server stopped never get their ack
+// matched; ones that never left the server go back in the queue.
+(function expireStaleCommands() {
+  loadCommandLog();
+  let changed = false;
+  
+  commandLog.commands.forEach(entry => {
+    if (entry.status === 'pending') {
+      entry.status = 'queued';
+      changed = true;
+    } else if (entry.status === 'sent') {
+      entry.status = 'timed-out';
+      entry.success = false;
+      entry.error = 'Server restarted before acknowledgement';
+      entry.completedAt = new Date().toISOString();
+      changed = true;
+    }
+  });
+  
+  if (changed) {
+    saveCommandLog();
+  }
+})();
+
+// ==================== COMMAND RESULTS ====================
+
+// Structured output of status/diag/test/stats commands, sent by the device as
+// a `commandResult` (or `diagnostics`) message and stored against the command:
+//   { type: 'commandResult', commandId?, command?, result: {...} }
+// Results without a commandId are matched to the device's latest command
+// with the same name (or the latest `diag` for a diagnostics message).
+const RESULT_COMMANDS = ['status', 'diag', 'test', 'stats'];
+const RESULT_MATCH_WINDOW = 5 * 60 * 1000;
+const MAX_COMMAND_RESULTS = 1000;
+
+let commandResults = [];
+
+// Helper: Load stored command results
+function loadCommandResults() {
+  try {
+    commandResults = JSON.parse(fs.readFileSync(COMMAND_RESULTS_FILE, 'utf8')).results || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading command results:', error);
+    }
+    commandResults = [];
+  }
+}
+
+// Helper: Save command results
+function saveCommandResults() {
+  try {
+    fs.writeFileSync(COMMAND_RESULTS_FILE, JSON.stringify({ results: commandResults }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving command results:', error);
+    return false;
+  }
+}
+
+// Helper: Command a result belongs to, or null
+function matchResultCommand(deviceId, data) {
+  if (data.commandId) {
+    const entry = getCommand(data.commandId);
+    return entry && entry.deviceId === deviceId ? entry : null;
+  }
+  
+  const name = String(data.command || (data.type === 'diagnostics' ? 'diag' : '')).trim();
+  const since = new Date(Date.now() - RESULT_MATCH_WINDOW).toISOString();
+  
+  return commandLog.commands
+    .filter(c => c.deviceId === deviceId && c.command === name && c.timestamp >= since &&
+      ['sent', 'acked', 'timed-out'].includes(c.status))
+    .pop() || null;
+}
+
+// Store a result message from a device and push it to dashboards
+function handleCommandResult(deviceId, data) {
+  const entry = matchResultCommand(deviceId, data);
+  const payload = data.result !== undefined ? data.result
+    : data.data !== undefined ? data.data
+    : data.payload !== undefined ? data.payload
+    : (({ type, commandId, command, timestamp, ...rest }) => rest)(data);
+  
+  const result = {
+    id: generateId('res'),
     deviceId,
-    timestamp: new Date().toISOString(),
-    ...reading
+    commandId: entry ? entry.commandId : null,
+    command: entry ? entry.command : (data.command || (data.type === 'diagnostics' ? 'diag' : null)),
+    success: data.success !== false,
+    payload,
+    deviceTimestamp: data.timestamp || null,
+    receivedAt: new Date().toISOString()
   };
   
-  data.readings.push(entry);
+  commandResults.push(result);
+  if (commandResults.length > MAX_COMMAND_RESULTS) {
+    commandResults = commandResults.slice(-MAX_COMMAND_RESULTS);
+  }
+  saveCommandResults();
   
-  // Keep only last 10000 readings
-  if (data.readings.length > 10000) {
-    data.readings = data.readings.slice(-10000);
+  if (entry) {
+    // A result also proves delivery when the ack was lost
+    if (entry.status === 'sent' || entry.status === 'timed-out') {
+      finishCommand(entry.commandId, result.success ? 'acked' : 'failed', { ackedAt: result.receivedAt });
+    }
+    updateCommand(entry.commandId, { resultId: result.id });
+  } else {
+    console.log(`âš ï¸  Unmatched ${data.type} from ${deviceId}${data.command ? `: ${data.command}` : ''}`);
   }
   
-  saveData(data);
-  return entry;
+  io.emit('commandResult', result);
+  return result;
 }
 
+loadCommandResults();
+
 // Helper: Create session record
 function createSession(deviceId, ip, deviceType) {
-  const data = loadData();
+  const data = loadSessions();
   
   const session = {
     deviceId,
@@ -221,14 +918,14 @@ function createSession(deviceId, ip, deviceType) {
   };
   
   data.sessions.push(session);
-  saveData(data);
+  saveSessions(data);
   
   return session;
 }
 
 // Helper: End session
 function endSession(deviceId) {
-  const data = loadData();
+  const data = loadSessions();
   
   const sessions = data.sessions.filter(s => s.deviceId === deviceId && s.active);
   sessions.forEach(session => {
@@ -236,634 +933,6789 @@ function endSession(deviceId) {
     session.active = false;
   });
   
-  saveData(data);
+  saveSessions(data);
 }
 
-// ==================== MOCK DATA GENERATOR ====================
+// ==================== READINGS STORE ====================
 
-// Generate realistic mock sensor data (for Vaulter - single channel)
-function generateMockDataVaulter() {
-  const baseVoltage = 220 + (Math.random() - 0.5) * 10;
-  const baseCurrent = 0.5 + Math.random() * 2;
-  const powerFactor = 0.95;
+// Readings are appended to hourly NDJSON segments in data/readings/ (one JSON
+// object per line, named by UTC hour, e.g. 2026-10-19T14.ndjson). An in-memory
+// index keeps each segment's time bounds and per-device/per-type counts, so
+// queries only open the segments they need and page through them as streams.
+const readingsIndex = new Map(); // segment key -> { from, to, count, devices: { deviceId: { deviceType: count } } }
+let readingsWriteBuffer = [];
+let readingsFlushPromise = null;
+let readingsFlushTimer = null;
+let readingsIndexDirty = false;
+
+function segmentKeyFor(timestamp) {
+  return timestamp.slice(0, 13);
+}
+
+function segmentPath(key) {
+  return path.join(READINGS_DIR, `${key}.ndjson`);
+}
+
+// Helper: Count a written reading in the segment index
+function indexReading(key, entry) {
+  let segment = readingsIndex.get(key);
+  if (!segment) {
+    segment = { from: entry.timestamp, to: entry.timestamp, count: 0, devices: {} };
+    readingsIndex.set(key, segment);
+  }
   
-  return {
-    deviceType: 'VAULTER',
-    voltage: parseFloat(baseVoltage.toFixed(1)),
-    current: parseFloat(baseCurrent.toFixed(3)),
-    power: parseFloat((baseVoltage * baseCurrent * powerFactor).toFixed(1)),
-    energy: parseFloat((Math.random() * 100).toFixed(3)),
-    ssrState: Math.random() > 0.1,
-    state: 'MONITOR',
-    sensors: 'valid'
-  };
+  if (entry.timestamp < segment.from) segment.from = entry.timestamp;
+  if (entry.timestamp > segment.to) segment.to = entry.timestamp;
+  segment.count++;
+  
+  const type = entry.deviceType || 'UNKNOWN';
+  const deviceCounts = segment.devices[entry.deviceId] || (segment.devices[entry.deviceId] = {});
+  deviceCounts[type] = (deviceCounts[type] || 0) + 1;
+  readingsIndexDirty = true;
 }
 
-// Generate realistic mock sensor data (for CirquitIQ - dual channel)
-function generateMockDataCirquitIQ() {
-  const baseVoltage = 220 + (Math.random() - 0.5) * 10;
-  const ch1Current = 0.5 + Math.random() * 2;
-  const ch2Current = 0.5 + Math.random() * 2;
-  const powerFactor = 0.95;
+// Helper: Timestamp of the oldest stored reading (null when there are none)
+function oldestReadingTimestamp() {
+  let oldest = null;
+  readingsIndex.forEach(segment => {
+    if (!oldest || segment.from < oldest) oldest = segment.from;
+  });
+  return oldest;
+}
+
+// Helper: Rebuild the index entry of one segment from its file
+function rebuildSegmentIndex(key) {
+  readingsIndex.delete(key);
+  const lines = fs.readFileSync(segmentPath(key), 'utf8').split('\n');
+  lines.forEach(line => {
+    if (!line) return;
+    try {
+      indexReading(key, JSON.parse(line));
+    } catch (error) {
+      // Partial line from an interrupted write - skip it
+    }
+  });
+}
+
+// Helper: Load the segment index, rescanning segments written since it was saved
+function loadReadingsIndex() {
+  let savedAt = 0;
+  try {
+    const data = JSON.parse(fs.readFileSync(READINGS_INDEX_FILE, 'utf8'));
+    savedAt = new Date(data.savedAt).getTime() || 0;
+    Object.entries(data.segments || {}).forEach(([key, segment]) => readingsIndex.set(key, segment));
+  } catch (error) {
+    // Missing or unreadable index - every segment is rescanned below
+  }
   
-  return {
-    deviceType: 'CIRQUITIQ',
-    voltage: parseFloat(baseVoltage.toFixed(1)),
-    state: 'MONITOR',
-    sensors: 'valid',
-    channel1: {
-      current: parseFloat(ch1Current.toFixed(3)),
-      power: parseFloat((baseVoltage * ch1Current * powerFactor).toFixed(1)),
-      energy: parseFloat((Math.random() * 100).toFixed(3)),
-      cost: parseFloat((Math.random() * 10).toFixed(2)),
-      relayState: Math.random() > 0.1
-    },
-    channel2: {
-      current: parseFloat(ch2Current.toFixed(3)),
-      power: parseFloat((baseVoltage * ch2Current * powerFactor).toFixed(1)),
-      energy: parseFloat((Math.random() * 100).toFixed(3)),
-      cost: parseFloat((Math.random() * 10).toFixed(2)),
-      relayState: Math.random() > 0.1
-    },
-    totalPower: parseFloat(((baseVoltage * ch1Current * powerFactor) + (baseVoltage * ch2Current * powerFactor)).toFixed(1)),
-    totalEnergy: parseFloat((Math.random() * 200).toFixed(3)),
-    totalCost: parseFloat((Math.random() * 20).toFixed(2))
-  };
+  const onDisk = new Set(fs.readdirSync(READINGS_DIR)
+    .filter(file => file.endsWith('.ndjson'))
+    .map(file => file.slice(0, -'.ndjson'.length)));
+  
+  readingsIndex.forEach((segment, key) => {
+    if (!onDisk.has(key)) readingsIndex.delete(key);
+  });
+  
+  onDisk.forEach(key => {
+    if (!readingsIndex.has(key) || fs.statSync(segmentPath(key)).mtimeMs >= savedAt) {
+      rebuildSegmentIndex(key);
+    }
+  });
+  
+  saveReadingsIndex();
 }
 
-// POST endpoint to generate mock data (for testing without ESP32)
-app.post('/api/mock/data/:deviceId', (req, res) => {
-  const { deviceId } = req.params;
-  const deviceType = req.query.type || 'VAULTER'; // Default to VAULTER
-  const count = parseInt(req.query.count) || 1;
+// Helper: Save segment index
+function saveReadingsIndex() {
+  try {
+    fs.writeFileSync(READINGS_INDEX_FILE, JSON.stringify({
+      savedAt: new Date().toISOString(),
+      segments: Object.fromEntries(readingsIndex)
+    }));
+    readingsIndexDirty = false;
+    return true;
+  } catch (error) {
+    console.error('Error saving readings index:', error);
+    return false;
+  }
+}
+
+// Helper: Group buffered readings by segment, keeping write order
+function groupBySegment(batch) {
+  const groups = new Map();
+  batch.forEach(entry => {
+    const key = segmentKeyFor(entry.timestamp);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return groups;
+}
+
+async function writeReadingBatch(batch) {
+  for (const [key, entries] of groupBySegment(batch)) {
+    try {
+      const startedAt = process.hrtime.bigint();
+      await fs.promises.appendFile(segmentPath(key), entries.map(e => JSON.stringify(e) + '\n').join(''));
+      observeStorageWrite('readings', startedAt);
+      entries.forEach(entry => indexReading(key, entry));
+    } catch (error) {
+      console.error(`Error writing readings segment ${key}:`, error);
+    }
+  }
+}
+
+// Helper: Write buffered readings to their segments. Resolves once everything
+// buffered before the call is on disk and indexed.
+function flushReadings() {
+  if (readingsFlushTimer) {
+    clearTimeout(readingsFlushTimer);
+    readingsFlushTimer = null;
+  }
   
-  const readings = [];
+  if (readingsFlushPromise) {
+    return readingsFlushPromise.then(() => flushReadings());
+  }
   
-  for (let i = 0; i < count; i++) {
-    const mockData = deviceType === 'CIRQUITIQ' ? generateMockDataCirquitIQ() : generateMockDataVaulter();
-    
-    // Register device if new
-    if (!activeDevices.has(deviceId)) {
-      activeDevices.set(deviceId, {
-        deviceType: deviceType,
-        ip: req.ip || 'mock',
-        connectedAt: new Date().toISOString(),
-        lastSeen: new Date().toISOString(),
-        isMock: true
-      });
-      createSession(deviceId, 'mock', deviceType);
-    } else {
-      const device = activeDevices.get(deviceId);
-      device.lastSeen = new Date().toISOString();
+  if (readingsWriteBuffer.length === 0) {
+    return Promise.resolve();
+  }
+  
+  const batch = readingsWriteBuffer;
+  readingsWriteBuffer = [];
+  readingsFlushPromise = writeReadingBatch(batch).then(() => {
+    readingsFlushPromise = null;
+    if (readingsWriteBuffer.length > 0 && !readingsFlushTimer) {
+      readingsFlushTimer = setTimeout(flushReadings, READINGS_FLUSH_INTERVAL);
+    }
+  });
+  return readingsFlushPromise;
+}
+
+// Helper: Synchronous flush, used on shutdown
+function flushReadingsSync() {
+  const batch = readingsWriteBuffer;
+  readingsWriteBuffer = [];
+  groupBySegment(batch).forEach((entries, key) => {
+    try {
+      fs.appendFileSync(segmentPath(key), entries.map(e => JSON.stringify(e) + '\n').join(''));
+      entries.forEach(entry => indexReading(key, entry));
+    } catch (error) {
+      console.error(`Error writing readings segment ${key}:`, error);
     }
+  });
+  saveReadingsIndex();
+}
+
+// Helper: Add reading to storage
+function addReading(deviceId, reading) {
+  const entry = {
+    deviceId,
+    timestamp: new Date().toISOString(),
+    ...reading
+  };
+  
+  readingsWriteBuffer.push(entry);
+  if (!readingsFlushTimer && !readingsFlushPromise) {
+    readingsFlushTimer = setTimeout(flushReadings, READINGS_FLUSH_INTERVAL);
+  }
+  
+  return entry;
+}
+
+// Helper: Stream the entries of one segment in write order. Returning false
+// from onEntry stops the scan early.
+function scanSegment(key, onEntry) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(segmentPath(key), { encoding: 'utf8' });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let stopped = false;
     
-    const entry = addReading(deviceId, mockData);
+    lines.on('line', (line) => {
+      if (stopped || !line) return;
+      
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      
+      if (onEntry(entry) === false) {
+        stopped = true;
+        lines.close();
+        stream.destroy();
+      }
+    });
+    lines.on('close', resolve);
+    stream.on('error', (error) => (error.code === 'ENOENT' ? resolve() : reject(error)));
+  });
+}
+
+function matchesReading(entry, filter) {
+  if (filter.deviceId && entry.deviceId !== filter.deviceId) return false;
+  if (filter.deviceType && entry.deviceType !== filter.deviceType) return false;
+  if (filter.from && entry.timestamp < filter.from) return false;
+  if (filter.to && entry.timestamp > filter.to) return false;
+  return true;
+}
+
+// Helper: Segments that can hold readings for a filter, oldest first. Counts
+// come from the index; segments cut by from/to are flagged as partial.
+function selectSegments(filter) {
+  const selected = [];
+  
+  readingsIndex.forEach((segment, key) => {
+    if (filter.from && segment.to < filter.from) return;
+    if (filter.to && segment.from > filter.to) return;
     
-    // Update realtime data
-    realtimeData.set(deviceId, {
-      ...mockData,
-      timestamp: entry.timestamp
+    let count = 0;
+    Object.entries(segment.devices).forEach(([deviceId, types]) => {
+      if (filter.deviceId && deviceId !== filter.deviceId) return;
+      Object.entries(types).forEach(([deviceType, n]) => {
+        if (filter.deviceType && deviceType !== filter.deviceType) return;
+        count += n;
+      });
     });
     
-    // Broadcast to all connected web clients
-    io.emit('sensorData', {
-      deviceId,
-      deviceType,
-      ...mockData,
-      timestamp: entry.timestamp
+    if (count > 0) {
+      const partial = Boolean((filter.from && segment.from < filter.from) || (filter.to && segment.to > filter.to));
+      selected.push({ key, count, partial });
+    }
+  });
+  
+  return selected.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+// Query readings matching { deviceId, deviceType, from, to }. Returns the
+// matching total and the [offset, offset + limit) window in time order, or the
+// last `limit` readings when `latest` is set.
+async function queryReadings(filter = {}) {
+  await flushReadings();
+  const segments = selectSegments(filter);
+  
+  for (const segment of segments.filter(s => s.partial)) {
+    segment.count = 0;
+    await scanSegment(segment.key, entry => {
+      if (matchesReading(entry, filter)) segment.count++;
     });
+  }
+  
+  const total = segments.reduce((sum, s) => sum + s.count, 0);
+  const limit = filter.limit != null ? filter.limit : total;
+  const offset = filter.latest ? Math.max(0, total - limit) : (filter.offset || 0);
+  const readings = [];
+  let position = 0;
+  
+  for (const segment of segments) {
+    if (readings.length >= limit) break;
     
-    readings.push(entry);
+    if (position + segment.count <= offset) {
+      position += segment.count;
+      continue;
+    }
+    
+    await scanSegment(segment.key, entry => {
+      if (!matchesReading(entry, filter)) return;
+      if (position++ >= offset) readings.push(entry);
+      return readings.length < limit;
+    });
   }
   
-  res.json({
-    success: true,
-    message: `Generated ${count} mock reading(s) for ${deviceType}`,
-    readings: readings
+  return { total, readings };
+}
+
+// Stream every reading matching a filter, in time order
+async function forEachReading(filter, onEntry) {
+  await flushReadings();
+  
+  for (const segment of selectSegments(filter)) {
+    await scanSegment(segment.key, entry => {
+      if (matchesReading(entry, filter)) onEntry(entry);
+    });
+  }
+}
+
+// Helper: Running min/max/avg accumulator for numeric fields
+function createStat() {
+  return { min: Infinity, max: -Infinity, sum: 0, count: 0 };
+}
+
+function addToStat(stat, value) {
+  if (typeof value !== 'number' || !isFinite(value)) return;
+  if (value < stat.min) stat.min = value;
+  if (value > stat.max) stat.max = value;
+  stat.sum += value;
+  stat.count++;
+}
+
+function finishStat(stat) {
+  return stat.count > 0
+    ? { min: stat.min, max: stat.max, avg: stat.sum / stat.count }
+    : { min: null, max: null, avg: null };
+}
+
+// Aggregate matching readings into fixed-size time buckets (aligned to the
+// epoch, so 1d buckets start at UTC midnight). Single-channel readings feed
+// voltage/current/power directly; multi-channel readings feed per-channel
+// stats and contribute their channel sum to current/power.
+async function aggregateReadings(filter, bucketMs) {
+  const buckets = new Map();
+  
+  await forEachReading(filter, (r) => {
+    const start = Math.floor(new Date(r.timestamp).getTime() / bucketMs) * bucketMs;
+    let bucket = buckets.get(start);
+    if (!bucket) {
+      bucket = { start, count: 0, voltage: createStat(), current: createStat(), power: createStat(), channels: {} };
+      buckets.set(start, bucket);
+    }
+    
+    bucket.count++;
+    addToStat(bucket.voltage, r.voltage);
+    
+    const { channels } = deviceDriver(r.deviceType);
+    if (channels.length > 0) {
+      let current = 0;
+      let power = 0;
+      channels.forEach(channel => {
+        const data = r[channel] || {};
+        if (!bucket.channels[channel]) {
+          bucket.channels[channel] = { current: createStat(), power: createStat() };
+        }
+        addToStat(bucket.channels[channel].current, data.current);
+        addToStat(bucket.channels[channel].power, data.power);
+        current += data.current || 0;
+        power += data.power || 0;
+      });
+      addToStat(bucket.current, current);
+      addToStat(bucket.power, r.totalPower || power);
+    } else {
+      addToStat(bucket.current, r.current);
+      addToStat(bucket.power, r.power);
+    }
+  });
+  
+  return Array.from(buckets.values())
+    .sort((a, b) => a.start - b.start)
+    .map(bucket => {
+      const result = {
+        start: new Date(bucket.start).toISOString(),
+        end: new Date(bucket.start + bucketMs).toISOString(),
+        count: bucket.count,
+        voltage: finishStat(bucket.voltage),
+        current: finishStat(bucket.current),
+        power: finishStat(bucket.power)
+      };
+      Object.entries(bucket.channels).forEach(([channel, stats]) => {
+        result[channel] = { current: finishStat(stats.current), power: finishStat(stats.power) };
+      });
+      return result;
+    });
+}
+
+// Drop segments older than the retention window
+function pruneReadings() {
+  const cutoff = segmentKeyFor(new Date(Date.now() - READINGS_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  
+  readingsIndex.forEach((segment, key) => {
+    if (key < cutoff) {
+      readingsIndex.delete(key);
+      readingsIndexDirty = true;
+      fs.unlink(segmentPath(key), (error) => {
+        if (error && error.code !== 'ENOENT') console.error(`Error removing segment ${key}:`, error);
+      });
+    }
   });
+}
+
+// One-time migration of the old whole-file sensor_log.json. Segments are
+// rewritten through a temporary file without the legacy readings they already
+// hold, so a migration interrupted before the final rename can run again
+// without duplicating anything.
+function migrateLegacyLog() {
+  if (!fs.existsSync(LEGACY_LOG_FILE)) return;
+  
+  try {
+    const legacy = JSON.parse(fs.readFileSync(LEGACY_LOG_FILE, 'utf8'));
+    const readings = (legacy.readings || []).filter(r => r.timestamp);
+    
+    groupBySegment(readings).forEach((entries, key) => {
+      const lines = entries.map(e => JSON.stringify(e));
+      const migrated = new Set(lines);
+      let existing = [];
+      try {
+        existing = fs.readFileSync(segmentPath(key), 'utf8').split('\n').filter(line => line && !migrated.has(line));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      
+      const tempPath = `${segmentPath(key)}.tmp`;
+      fs.writeFileSync(tempPath, [...existing, ...lines].map(line => line + '\n').join(''));
+      fs.renameSync(tempPath, segmentPath(key));
+    });
+    
+    const data = loadSessions();
+    const sessionKey = (session) => `${session.deviceId}|${session.startTime}`;
+    const known = new Set(data.sessions.map(sessionKey));
+    data.sessions = [...(legacy.sessions || []).filter(session => !known.has(sessionKey(session))), ...data.sessions];
+    saveSessions(data);
+    
+    fs.renameSync(LEGACY_LOG_FILE, `${LEGACY_LOG_FILE}.migrated`);
+    console.log(`âœ" Migrated ${readings.length} readings from sensor_log.json`);
+  } catch (error) {
+    console.error('Error migrating sensor_log.json:', error);
+  }
+}
+
+migrateLegacyLog();
+loadReadingsIndex();
+
+// Persist the index and apply retention in the background
+setInterval(() => {
+  if (readingsIndexDirty) {
+    flushReadings().then(saveReadingsIndex);
+  }
+}, 10000);
+setInterval(pruneReadings, 60 * 60 * 1000);
+
+// ==================== DEVICE DRIVERS ====================
+
+// Everything that differs between board types lives in a driver, so a new
+// board is supported by registering a driver instead of editing routes:
+//   type                   identifier stored on devices and readings
+//   label                  display name
+//   channels               per-channel objects in a reading ([] = one flat channel)
+//   relayField             relay state field (on the reading, or on each channel)
+//   schemas                reading schemas by firmware version (see READING SCHEMAS)
+//   commands               type-specific command catalog (COMMON_DEVICE_COMMANDS are shared)
+//   relayCommand(action, channel)  relay command for 'on'/'off' (channel null = all)
+//   parseRelayCommand(command)     the reverse: { action, channel } or null
+//   calibrationParameter(channel)  config parameter holding the current calibration
+//   stats                  { create(), add(acc, reading, energy), finish(acc) } for
+//                          /api/stats; accumulators keep a reading `count`
+//   mockReading()          realistic payload for the mock data endpoint
+//   simulatedReading(state)        payload for a simulated device (see SIMULATOR)
+// Readings and devices of unknown type are handled by DEFAULT_DEVICE_TYPE.
+const DEFAULT_DEVICE_TYPE = 'VAULTER';
+const DEVICE_DRIVERS = {};
+
+const CHANNEL_READING_FIELDS = {
+  current: { type: 'number', required: true, min: 0, max: 100 },
+  power: { type: 'number', required: true, min: 0 },
+  energy: { type: 'number', required: true, min: 0 },
+  cost: { type: 'number', min: 0 },
+  relayState: { type: 'boolean' }
+};
+
+// Commands every board understands
+// Settable config parameters and their accepted (inclusive) ranges, shared by
+// the command catalog, the config shadow and calibration
+const CONFIG_PARAMETERS = {
+  power_factor: { min: 0.1, max: 1 },
+  voltage_cal: { min: 0.01, max: 1000 },
+  current_cal: { min: 0.001, max: 100 },
+  ch1_cal: { min: 0.001, max: 100 },
+  ch2_cal: { min: 0.001, max: 100 },
+  rate: { min: 0 }
+};
+
+// Helper: Catalog description of a config parameter's value
+function configParameterHint(parameter) {
+  const { min, max } = CONFIG_PARAMETERS[parameter];
+  return max !== undefined ? `number (${min}-${max})` : `number (>= ${min})`;
+}
+
+const COMMON_DEVICE_COMMANDS = [
+  {
+    name: 'reset',
+    description: 'Emergency reset system',
+    category: 'System Control',
+    parameters: null
+  },
+  {
+    name: 'restart',
+    description: 'Restart ESP32',
+    category: 'System Control',
+    parameters: null
+  },
+  {
+    name: 'ota',
+    description: 'Install firmware over the air (sent by firmware rollouts)',
+    category: 'System Control',
+    parameters: '<url> <sha256> <version>'
+  },
+  {
+    name: 'calibrate',
+    description: 'Start manual calibration',
+    category: 'Calibration',
+    parameters: null
+  },
+  {
+    name: 'cal_voltage',
+    description: 'Start voltage calibration wizard',
+    category: 'Calibration',
+    parameters: null
+  },
+  {
+    name: 'voltage_cal',
+    description: 'Set voltage calibration factor',
+    category: 'Calibration',
+    parameters: configParameterHint('voltage_cal')
+  },
+  {
+    name: 'current_cal',
+    description: 'Set current calibration factor',
+    category: 'Calibration',
+    parameters: configParameterHint('current_cal')
+  },
+  {
+    name: 'power_factor',
+    description: 'Set power factor',
+    category: 'Settings',
+    parameters: configParameterHint('power_factor')
+  },
+  {
+    name: 'status',
+    description: 'Get current status',
+    category: 'Information',
+    parameters: null
+  },
+  {
+    name: 'test',
+    description: 'Test sensors',
+    category: 'Diagnostics',
+    parameters: null
+  },
+  {
+    name: 'diag',
+    description: 'Full diagnostics',
+    category: 'Diagnostics',
+    parameters: null
+  },
+  {
+    name: 'stats',
+    description: 'Show statistics',
+    category: 'Information',
+    parameters: null
+  },
+  {
+    name: 'manual',
+    description: 'Toggle manual mode',
+    category: 'Settings',
+    parameters: null
+  },
+  {
+    name: 'safety',
+    description: 'Toggle safety checks',
+    category: 'Settings',
+    parameters: null
+  },
+  {
+    name: 'buzzer',
+    description: 'Toggle buzzer',
+    category: 'Settings',
+    parameters: null
+  },
+  {
+    name: 'clear',
+    description: 'Clear statistics',
+    category: 'Settings',
+    parameters: null
+  }
+];
+
+function registerDeviceDriver(driver) {
+  const missing = ['type', 'channels', 'relayField', 'schemas', 'commands', 'relayCommand',
+    'parseRelayCommand', 'calibrationParameter', 'stats', 'mockReading', 'simulatedReading']
+    .filter(key => driver[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Device driver ${driver.type || '(unnamed)'} is missing ${missing.join(', ')}`);
+  }
+  DEVICE_DRIVERS[driver.type] = driver;
+}
+
+// Helper: Driver for a device type, falling back to the default type
+function deviceDriver(deviceType) {
+  return DEVICE_DRIVERS[deviceType] || DEVICE_DRIVERS[DEFAULT_DEVICE_TYPE];
+}
+
+function isDeviceType(deviceType) {
+  return Object.prototype.hasOwnProperty.call(DEVICE_DRIVERS, deviceType);
+}
+
+// Helper: Every channel key any driver uses
+function allDeviceChannels() {
+  return [...new Set(Object.values(DEVICE_DRIVERS).flatMap(driver => driver.channels))];
+}
+
+// Helper: Resolve a channel given as a key ('channel2') or 1-based number
+// ('2'). Returns the key, null for all channels / flat boards, or undefined
+// when the board has no such channel.
+function driverChannel(driver, channel) {
+  if (channel == null || channel === '' || channel === 'all' || driver.channels.length === 0) return null;
+  if (driver.channels.includes(channel)) return channel;
+  const index = Number(channel);
+  return Number.isInteger(index) && index >= 1 && index <= driver.channels.length
+    ? driver.channels[index - 1]
+    : undefined;
+}
+
+// Helper: Relay commands of boards addressing channels as `on 1` ... `on all`
+function numberedRelayCommand(channels) {
+  return (action, channel) => {
+    const index = channels.indexOf(channel);
+    return index >= 0 ? `${action} ${index + 1}` : `${action} all`;
+  };
+}
+
+function parseNumberedRelayCommand(channels) {
+  return (command) => {
+    const match = /^(on|off) (\d+|all)$/.exec(String(command).trim());
+    if (!match) return null;
+    if (match[2] === 'all') return { action: match[1], channel: null };
+    const channel = channels[Number(match[2]) - 1];
+    return channel ? { action: match[1], channel } : null;
+  };
+}
+
+// Helper: Simulated payload for multi-channel boards (per-channel objects
+// plus totals)
+function channelSimulatedReading(deviceType, channels) {
+  return (state) => {
+    const reading = { deviceType, voltage: state.voltage, state: state.state, sensors: state.sensors };
+    channels.forEach((channel, i) => {
+      const { current, power, energy, cost, relay } = state.channels[i];
+      reading[channel] = { current, power, energy, cost, relayState: relay };
+    });
+    reading.totalPower = parseFloat(state.channels.reduce((sum, c) => sum + c.power, 0).toFixed(1));
+    reading.totalEnergy = roundKwh(state.channels.reduce((sum, c) => sum + c.energy, 0));
+    reading.totalCost = roundMoney(state.channels.reduce((sum, c) => sum + c.cost, 0));
+    return reading;
+  };
+}
+
+// Helper: /api/stats aggregation for single-channel boards
+const flatDriverStats = {
+  create: () => ({ count: 0, voltage: createStat(), current: createStat(), power: createStat(), energy: 0 }),
+  add(acc, r, energy) {
+    acc.count++;
+    addToStat(acc.voltage, r.voltage);
+    addToStat(acc.current, r.current);
+    addToStat(acc.power, r.power);
+    acc.energy += energy.main || 0;
+  },
+  finish: (acc) => ({
+    totalReadings: acc.count,
+    voltage: finishStat(acc.voltage),
+    current: finishStat(acc.current),
+    power: finishStat(acc.power),
+    totalEnergy: roundKwh(acc.energy)
+  })
+};
+
+// Helper: /api/stats aggregation for multi-channel boards (per-channel
+// average current/power and consumed energy)
+function channelDriverStats(channels) {
+  return {
+    create: () => ({
+      count: 0,
+      voltage: createStat(),
+      channels: Object.fromEntries(channels.map(channel => [channel, { current: 0, power: 0, energy: 0 }]))
+    }),
+    add(acc, r, energy) {
+      acc.count++;
+      addToStat(acc.voltage, r.voltage);
+      channels.forEach(channel => {
+        acc.channels[channel].current += r[channel]?.current || 0;
+        acc.channels[channel].power += r[channel]?.power || 0;
+        acc.channels[channel].energy += energy[channel] || 0;
+      });
+    },
+    finish(acc) {
+      const result = { totalReadings: acc.count, voltage: finishStat(acc.voltage) };
+      channels.forEach(channel => {
+        result[channel] = {
+          avgCurrent: acc.channels[channel].current / acc.count,
+          avgPower: acc.channels[channel].power / acc.count,
+          totalEnergy: roundKwh(acc.channels[channel].energy)
+        };
+      });
+      return result;
+    }
+  };
+}
+
+registerDeviceDriver({
+  type: 'VAULTER',
+  label: 'Vaulter',
+  channels: [],
+  relayField: 'ssrState',
+  schemas: [
+    {
+      firmware: '0.0.0',
+      fields: {
+        voltage: { type: 'number', required: true, min: 0, max: 500 },
+        current: { type: 'number', required: true, min: 0, max: 100 },
+        power: { type: 'number', required: true, min: 0 },
+        energy: { type: 'number', required: true, min: 0 },
+        ssrState: { type: 'boolean', default: false },
+        state: { type: 'string', default: 'unknown' },
+        sensors: { type: 'string' }
+      }
+    }
+  ],
+  commands: [
+    {
+      name: 'on',
+      description: 'Turn SSR ON (normal operation)',
+      category: 'SSR Control',
+      parameters: null
+    },
+    {
+      name: 'off',
+      description: 'Turn SSR OFF (manual disable)',
+      category: 'SSR Control',
+      parameters: null
+    },
+    {
+      name: 'enable',
+      description: 'Enable SSR (alias for on)',
+      category: 'SSR Control',
+      parameters: null
+    },
+    {
+      name: 'disable',
+      description: 'Disable SSR (alias for off)',
+      category: 'SSR Control',
+      parameters: null
+    }
+  ],
+  relayCommand: (action) => action,
+  parseRelayCommand: (command) => {
+    const action = { on: 'on', enable: 'on', off: 'off', disable: 'off' }[String(command).trim()];
+    return action ? { action, channel: null } : null;
+  },
+  calibrationParameter: () => 'current_cal',
+  stats: flatDriverStats,
+  mockReading: () => generateMockDataVaulter(),
+  simulatedReading: (state) => {
+    const { current, power, energy, relay } = state.channels[0];
+    return {
+      deviceType: 'VAULTER',
+      voltage: state.voltage,
+      current,
+      power,
+      energy,
+      ssrState: relay,
+      state: state.state,
+      sensors: state.sensors
+    };
+  }
 });
 
-// ==================== REST API ENDPOINTS ====================
+registerDeviceDriver({
+  type: 'CIRQUITIQ',
+  label: 'CirquitIQ',
+  channels: ['channel1', 'channel2'],
+  relayField: 'relayState',
+  schemas: [
+    {
+      firmware: '0.0.0',
+      fields: {
+        voltage: { type: 'number', required: true, min: 0, max: 500 },
+        state: { type: 'string', default: 'unknown' },
+        sensors: { type: 'string' },
+        channel1: { type: 'channel', required: true },
+        channel2: { type: 'channel', required: true },
+        totalPower: { type: 'number', min: 0, default: 0 },
+        totalEnergy: { type: 'number', min: 0, default: 0 },
+        totalCost: { type: 'number', min: 0, default: 0 }
+      }
+    }
+  ],
+  commands: [
+    {
+      name: 'on 1',
+      description: 'Turn Relay 1 ON',
+      category: 'Relay Control',
+      parameters: null
+    },
+    {
+      name: 'on 2',
+      description: 'Turn Relay 2 ON',
+      category: 'Relay Control',
+      parameters: null
+    },
+    {
+      name: 'on all',
+      description: 'Turn Both Relays ON',
+      category: 'Relay Control',
+      parameters: null
+    },
+    {
+      name: 'off 1',
+      description: 'Turn Relay 1 OFF',
+      category: 'Relay Control',
+      parameters: null
+    },
+    {
+      name: 'off 2',
+      description: 'Turn Relay 2 OFF',
+      category: 'Relay Control',
+      parameters: null
+    },
+    {
+      name: 'off all',
+      description: 'Turn Both Relays OFF',
+      category: 'Relay Control',
+      parameters: null
+    }
+  ],
+  relayCommand: numberedRelayCommand(['channel1', 'channel2']),
+  parseRelayCommand: parseNumberedRelayCommand(['channel1', 'channel2']),
+  calibrationParameter: (channel) => (channel === 'channel2' ? 'ch2_cal' : 'ch1_cal'),
+  stats: channelDriverStats(['channel1', 'channel2']),
+  mockReading: () => generateMockDataCirquitIQ(),
+  simulatedReading: channelSimulatedReading('CIRQUITIQ', ['channel1', 'channel2'])
+});
+
+// ==================== DEVICE REGISTRY ====================
+
+// Every device the server has seen or an admin has added, with its metadata,
+// last applied config and online/offline status. Presence (lastSeen) changes
+// on every reading, so those writes are batched; everything else saves
+// immediately.
+const DEVICE_METADATA_FIELDS = ['name', 'location', 'tags', 'expectedType', 'notes'];
+let deviceRegistryDirty = false;
+
+// Helper: Load device registry. Nothing is online until it reports again.
+function loadDeviceRegistry() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8'));
+    (data.devices || []).forEach(device => {
+      deviceRegistry.set(device.deviceId, { ...device, status: 'offline', config: migrateDeviceConfig(device.config) });
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading device registry:', error);
+    }
+  }
+}
+
+// Helper: Save device registry
+function saveDeviceRegistry() {
+  try {
+    const startedAt = process.hrtime.bigint();
+    fs.writeFileSync(DEVICES_FILE, JSON.stringify({ devices: Array.from(deviceRegistry.values()) }, null, 2));
+    observeStorageWrite('devices', startedAt);
+    deviceRegistryDirty = false;
+    return true;
+  } catch (error) {
+    console.error('Error saving device registry:', error);
+    return false;
+  }
+}
+
+function createDeviceEntry(deviceId, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    deviceId,
+    name: null,
+    location: null,
+    tags: [],
+    expectedType: null,
+    notes: null,
+    deviceType: fields.expectedType || null,
+    ip: null,
+    isMock: false,
+    status: 'offline',
+    firstSeen: null,
+    connectedAt: null,
+    lastSeen: null,
+    config: emptyDeviceConfig(),
+    tariffId: null,
+    rejectedPayloads: 0,
+    lastRejection: null,
+    firmwareVersion: null,
+    firmwareReportedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    ...fields
+  };
+}
+
+// Helper: Validate admin-supplied metadata. Returns an error string or null.
+function validateDeviceMetadata(body) {
+  if (body.tags !== undefined && (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  if (body.expectedType != null && !isDeviceType(String(body.expectedType).toUpperCase())) {
+    return `expectedType must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}`;
+  }
+  for (const field of ['name', 'location', 'notes']) {
+    if (body[field] != null && typeof body[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  return null;
+}
+
+function pickDeviceMetadata(body) {
+  const fields = {};
+  DEVICE_METADATA_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (fields.expectedType) fields.expectedType = fields.expectedType.toUpperCase();
+  return fields;
+}
+
+// Helper: Record that a device reported in. Registers unknown devices and
+// opens a session when a device comes (back) online.
+function markDeviceSeen(deviceId, { deviceType, ip, isMock }) {
+  const now = new Date().toISOString();
+  let device = deviceRegistry.get(deviceId);
+  
+  if (!device) {
+    device = createDeviceEntry(deviceId);
+    deviceRegistry.set(deviceId, device);
+  }
+  
+  const firstSeen = !device.firstSeen;
+  const cameOnline = device.status !== 'online';
+  
+  device.deviceType = deviceType;
+  device.ip = ip;
+  device.isMock = isMock;
+  device.lastSeen = now;
+  
+  if (cameOnline) {
+    device.status = 'online';
+    device.connectedAt = now;
+    device.firstSeen = device.firstSeen || now;
+    createSession(deviceId, ip, deviceType);
+    saveDeviceRegistry();
+    
+    if (device.expectedType && device.expectedType !== deviceType) {
+      console.log(`âš ï¸  Device ${deviceId} reports ${deviceType} but is registered as ${device.expectedType}`);
+    }
+    
+    if (firstSeen) {
+      emitWebhookEvent('device.registered', { deviceId, deviceType, ip, isMock, firstSeen: now });
+    }
+    emitWebhookEvent('device.online', { deviceId, deviceType, ip, isMock, connectedAt: now });
+  } else {
+    deviceRegistryDirty = true;
+  }
+  
+  return { device, cameOnline };
+}
+
+// Helper: Public view of a registry entry
+function describeDevice(device) {
+  const { keyHash, ...publicFields } = device;
+  return {
+    ...publicFields,
+    hasKey: Boolean(keyHash),
+    currentData: realtimeData.get(device.deviceId) || null
+  };
+}
+
+loadDeviceRegistry();
+
+// ==================== DEVICE AUTHENTICATION ====================
+
+// Device keys are random 32-byte secrets shown once when issued; only their
+// SHA-256 hash is stored on the registry entry. Keys are sent in the
+// X-Device-Key header on /api/data and as `key` in the /ws register message.
+// The pending list is filled by unauthenticated traffic, so it is capped in
+// total and per source address; unknown devices beyond that are rejected
+// without being recorded.
+const MAX_PENDING_DEVICES = 200;
+const MAX_PENDING_PER_IP = 20;
+const pendingDevices = new Map(); // deviceId -> quarantine record
+let pendingDevicesDirty = false;
+let pendingOverflowLoggedAt = 0;
+
+function hashDeviceKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function verifyDeviceKey(key, keyHash) {
+  const candidate = Buffer.from(hashDeviceKey(key), 'hex');
+  const expected = Buffer.from(keyHash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+}
+
+// Helper: Issue (or rotate) a device key. Returns the plaintext key.
+function issueDeviceKey(device) {
+  const key = `dk_${crypto.randomBytes(32).toString('hex')}`;
+  device.keyHash = hashDeviceKey(key);
+  device.keyPrefix = key.slice(0, 9);
+  device.keyIssuedAt = new Date().toISOString();
+  device.updatedAt = device.keyIssuedAt;
+  saveDeviceRegistry();
+  
+  // Force the device to re-authenticate with the new key
+  const ws = esp32Connections.get(device.deviceId);
+  if (ws) {
+    ws.close(4001, 'Device key rotated');
+  }
+  
+  return key;
+}
+
+// Helper: Load quarantined devices
+function loadPendingDevices() {
+  try {
+    const data = JSON.parse(fs.readFileSync(PENDING_DEVICES_FILE, 'utf8'));
+    (data.devices || []).forEach(device => pendingDevices.set(device.deviceId, device));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading pending devices:', error);
+    }
+  }
+}
+
+// Helper: Save quarantined devices
+function savePendingDevices() {
+  try {
+    fs.writeFileSync(PENDING_DEVICES_FILE, JSON.stringify({ devices: Array.from(pendingDevices.values()) }, null, 2));
+    pendingDevicesDirty = false;
+    return true;
+  } catch (error) {
+    console.error('Error saving pending devices:', error);
+    return false;
+  }
+}
+
+// Helper: Record a rejected device in the pending approval list. Repeat
+// attempts only refresh the record; returns null when the list is full.
+function quarantineDevice(deviceId, { deviceType, ip, transport }) {
+  const now = new Date().toISOString();
+  const pending = pendingDevices.get(deviceId);
+  
+  if (pending) {
+    pending.lastAttempt = now;
+    pending.attempts++;
+    pending.ip = ip;
+    pending.deviceType = deviceType || pending.deviceType;
+    pending.transport = transport;
+    pendingDevicesDirty = true;
+    return pending;
+  }
+  
+  const fromIp = Array.from(pendingDevices.values()).filter(p => p.ip === ip).length;
+  if (pendingDevices.size >= MAX_PENDING_DEVICES || fromIp >= MAX_PENDING_PER_IP) {
+    if (Date.now() - pendingOverflowLoggedAt > 60000) {
+      pendingOverflowLoggedAt = Date.now();
+      console.log(`âš ï¸  Pending device list full, rejecting unknown devices (${transport} from ${ip})`);
+    }
+    return null;
+  }
+  
+  const record = {
+    deviceId,
+    deviceType: deviceType || null,
+    ip,
+    transport,
+    firstAttempt: now,
+    lastAttempt: now,
+    attempts: 1
+  };
+  pendingDevices.set(deviceId, record);
+  pendingDevicesDirty = true;
+  
+  console.log(`âš ï¸  Device ${deviceId} quarantined pending approval (${transport} from ${ip})`);
+  io.emit('devicePendingApproval', record);
+  emitWebhookEvent('device.pending', record);
+  return record;
+}
+
+// Check a device's credentials. Returns { ok: true } or { status, error }.
+function authenticateDevice(deviceId, key, context) {
+  const device = deviceRegistry.get(deviceId);
+  
+  if (device && device.keyHash) {
+    return key && verifyDeviceKey(key, device.keyHash)
+      ? { ok: true }
+      : { status: 401, error: 'Invalid or missing device key' };
+  }
+  
+  if (DEVICE_AUTH_MODE === 'open') {
+    return { ok: true };
+  }
+  
+  if (DEVICE_AUTH_MODE === 'quarantine') {
+    return quarantineDevice(deviceId, context)
+      ? { status: 403, error: 'Device pending approval' }
+      : { status: 403, error: 'Too many devices pending approval' };
+  }
+  
+  return { status: 401, error: 'Device key required' };
+}
+
+loadPendingDevices();
+
+// Persist batched lastSeen / quarantine updates
+setInterval(() => {
+  if (deviceRegistryDirty) {
+    saveDeviceRegistry();
+  }
+  if (pendingDevicesDirty) {
+    savePendingDevices();
+  }
+}, 10000);
+
+// ==================== DEVICE CONFIG SHADOW ====================
+
+// Each device keeps a shadow of its settings in device.config:
+//   desired  - values set by admins, pushed as `<parameter> <value>` commands
+//   reported - values the device last reported in a `config` message
+// Parameters whose desired value differs from the reported one are drift;
+// they are pushed again whenever the device (re)connects. Accepted values are
+// the CONFIG_PARAMETERS ranges (see DEVICE DRIVERS).
+const CONFIG_TOLERANCE = 1e-6;
+
+function emptyDeviceConfig() {
+  return { desired: {}, reported: {}, desiredUpdatedAt: null, reportedAt: null, commands: {} };
+}
+
+// Helper: Upgrade the old flat config ({ parameter: value, lastUpdated }),
+// which recorded values as soon as they were sent, into desired values
+function migrateDeviceConfig(config) {
+  if (!config) return emptyDeviceConfig();
+  if (config.desired) return { ...emptyDeviceConfig(), ...config };
+  
+  const migrated = emptyDeviceConfig();
+  Object.keys(CONFIG_PARAMETERS).forEach(parameter => {
+    const value = parseFloat(config[parameter]);
+    if (isFinite(value)) migrated.desired[parameter] = value;
+  });
+  migrated.desiredUpdatedAt = config.lastUpdated || null;
+  return migrated;
+}
+
+// Helper: Validate config values. Returns { values } or { error }.
+function validateConfigValues(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input) || Object.keys(input).length === 0) {
+    return { error: 'At least one parameter required' };
+  }
+  
+  const values = {};
+  for (const [parameter, raw] of Object.entries(input)) {
+    const limits = CONFIG_PARAMETERS[parameter];
+    if (!limits) {
+      return { error: 'Invalid parameter', validParameters: Object.keys(CONFIG_PARAMETERS) };
+    }
+    
+    const value = typeof raw === 'number' ? raw : parseFloat(raw);
+    if (!isFinite(value) || value < limits.min || (limits.max !== undefined && value > limits.max)) {
+      return { error: `${parameter} must be a number${limits.max !== undefined ? ` between ${limits.min} and ${limits.max}` : ` >= ${limits.min}`}` };
+    }
+    values[parameter] = value;
+  }
+  
+  return { values };
+}
+
+// Helper: Parameters whose desired value the device has not reported
+function configDrift(config) {
+  return Object.entries(config.desired)
+    .filter(([parameter, desired]) => {
+      const reported = config.reported[parameter];
+      return typeof reported !== 'number' || Math.abs(reported - desired) > CONFIG_TOLERANCE;
+    })
+    .map(([parameter, desired]) => ({
+      parameter,
+      desired,
+      reported: config.reported[parameter] !== undefined ? config.reported[parameter] : null
+    }));
+}
+
+// Helper: Public view of a device's config shadow
+function describeDeviceConfig(device) {
+  const config = device.config || emptyDeviceConfig();
+  const drift = configDrift(config);
+  
+  const parameters = {};
+  Object.keys(CONFIG_PARAMETERS).forEach(parameter => {
+    const commandId = config.commands[parameter] || null;
+    const command = commandId ? getCommand(commandId) : null;
+    parameters[parameter] = {
+      desired: config.desired[parameter] !== undefined ? config.desired[parameter] : null,
+      reported: config.reported[parameter] !== undefined ? config.reported[parameter] : null,
+      inSync: !drift.some(d => d.parameter === parameter),
+      commandId,
+      commandStatus: command ? command.status : null
+    };
+  });
+  
+  return {
+    deviceId: device.deviceId,
+    deviceType: device.deviceType,
+    desired: config.desired,
+    reported: config.reported,
+    desiredUpdatedAt: config.desiredUpdatedAt,
+    reportedAt: config.reportedAt,
+    inSync: drift.length === 0,
+    drift,
+    parameters
+  };
+}
+
+// Helper: Push config values to a device through the command path
+function pushDeviceConfig(device, values, source, options = {}) {
+  const config = device.config;
+  
+  return Object.entries(values).map(([parameter, value]) => {
+    const entry = dispatchCommand(device.deviceId, `${parameter} ${value}`, source, options);
+    config.commands[parameter] = entry.commandId;
+    return { parameter, value, commandId: entry.commandId, commandStatus: entry.status };
+  });
+}
+
+// Set desired values and push them to the device
+function setDesiredConfig(device, values, options = {}) {
+  device.config = migrateDeviceConfig(device.config);
+  Object.assign(device.config.desired, values);
+  device.config.desiredUpdatedAt = new Date().toISOString();
+  
+  const commands = pushDeviceConfig(device, values, 'admin', options);
+  saveDeviceRegistry();
+  io.emit('deviceConfig', describeDeviceConfig(device));
+  return commands;
+}
+
+// Re-push drifted desired values (on reconnect). Parameters that still have
+// a command waiting in the queue are left to the queue.
+function syncDeviceConfig(deviceId) {
+  const device = deviceRegistry.get(deviceId);
+  if (!device || !device.config) return [];
+  
+  const drift = configDrift(device.config).filter(({ parameter }) => {
+    const pending = getCommand(device.config.commands[parameter]);
+    return !pending || !['pending', 'queued', 'sent'].includes(pending.status);
+  });
+  if (drift.length === 0) return [];
+  
+  console.log(`â†' Re-pushing ${drift.length} drifted config value(s) to ${deviceId}`);
+  const values = Object.fromEntries(drift.map(d => [d.parameter, d.desired]));
+  const commands = pushDeviceConfig(device, values, 'config-sync');
+  saveDeviceRegistry();
+  return commands;
+}
+
+// Record a `config` report from a device. Accepts { config: {...} } or the
+// parameters at the top level; unknown or non-numeric values are ignored.
+function handleConfigReport(deviceId, data) {
+  const device = deviceRegistry.get(deviceId);
+  if (!device) return null;
+  
+  const source = data.config && typeof data.config === 'object' ? data.config : data;
+  const reported = {};
+  Object.keys(CONFIG_PARAMETERS).forEach(parameter => {
+    const value = typeof source[parameter] === 'number' ? source[parameter] : parseFloat(source[parameter]);
+    if (isFinite(value)) reported[parameter] = value;
+  });
+  
+  device.config = migrateDeviceConfig(device.config);
+  Object.assign(device.config.reported, reported);
+  device.config.reportedAt = new Date().toISOString();
+  saveDeviceRegistry();
+  
+  const view = describeDeviceConfig(device);
+  if (!view.inSync) {
+    console.log(`âš ï¸  Config drift on ${deviceId}: ${view.drift.map(d => `${d.parameter} ${d.reported} â‰  ${d.desired}`).join(', ')}`);
+  }
+  io.emit('deviceConfig', view);
+  return view;
+}
+
+// ==================== CALIBRATION SESSIONS ====================
+
+// Guided calibration against a reference meter:
+//   sampling  - average the next `samples` live readings of the quantity
+//   adjusting - new factor = current factor x reference / measured, set as the
+//               desired config value; wait for the device to ack it
+//   settling  - skip a few readings so the new factor takes effect
+//   verifying - average again; within tolerance -> passed, otherwise adjust
+//               again (up to CALIBRATION_MAX_ROUNDS) -> failed
+// Every finished session (passed or failed) leaves a certificate record.
+const CALIBRATION_QUANTITIES = ['voltage', 'current'];
+const CALIBRATION_MAX_ROUNDS = 3;
+const CALIBRATION_SETTLE_READINGS = 2;
+const CALIBRATION_TIMEOUT = 10 * 60 * 1000;
+const ACTIVE_CALIBRATION_STATES = ['sampling', 'adjusting', 'settling', 'verifying'];
+
+let calibrationSessions = [];
+let calibrationCertificates = [];
+
+// Helper: Load calibration sessions and certificates
+function loadCalibrations() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CALIBRATIONS_FILE, 'utf8'));
+    calibrationSessions = data.sessions || [];
+    calibrationCertificates = data.certificates || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading calibrations:', error);
+    }
+  }
+  
+  // Sessions cannot resume across restarts: the samples were in flight
+  calibrationSessions
+    .filter(session => ACTIVE_CALIBRATION_STATES.includes(session.status))
+    .forEach(session => finishCalibration(session, 'failed', 'Server restarted during calibration'));
+}
+
+// Helper: Save calibration sessions and certificates
+function saveCalibrations() {
+  try {
+    fs.writeFileSync(CALIBRATIONS_FILE, JSON.stringify({
+      sessions: calibrationSessions,
+      certificates: calibrationCertificates
+    }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving calibrations:', error);
+    return false;
+  }
+}
+
+// Helper: Config parameter calibrated for a quantity/channel
+function calibrationParameter(deviceType, quantity, channel) {
+  if (quantity === 'voltage') return 'voltage_cal';
+  return deviceDriver(deviceType).calibrationParameter(channel);
+}
+
+// Helper: Measured value of the calibrated quantity in a reading
+function calibrationValue(session, entry) {
+  const value = session.quantity === 'voltage'
+    ? entry.voltage
+    : (session.channel ? entry[session.channel]?.current : entry.current);
+  return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+function errorPercent(measured, reference) {
+  return reference === 0 ? null : ((measured - reference) / reference) * 100;
+}
+
+// Helper: Calibration factor currently in effect (reported, else desired, else 1)
+function currentCalibrationFactor(device, parameter) {
+  const config = device.config || emptyDeviceConfig();
+  if (typeof config.reported[parameter] === 'number') return { factor: config.reported[parameter], assumed: false };
+  if (typeof config.desired[parameter] === 'number') return { factor: config.desired[parameter], assumed: false };
+  return { factor: 1, assumed: true };
+}
+
+// Start a calibration session. Returns { session } or { error, status }.
+function startCalibration(device, { quantity, channel, reference, samples, tolerancePct }, user) {
+  if (!CALIBRATION_QUANTITIES.includes(quantity)) {
+    return { error: `quantity must be one of ${CALIBRATION_QUANTITIES.join(', ')}` };
+  }
+  if (typeof reference !== 'number' || !isFinite(reference) || reference <= 0) {
+    return { error: 'reference must be the reference meter reading (> 0)' };
+  }
+  const { channels } = deviceDriver(device.deviceType);
+  if (quantity === 'current' && channels.length > 0 && !channels.includes(channel)) {
+    return { error: `${device.deviceType} current calibration requires channel (${channels.join(', ')})` };
+  }
+  if (samples !== undefined && !(Number.isInteger(samples) && samples >= 1 && samples <= 100)) {
+    return { error: 'samples must be an integer between 1 and 100' };
+  }
+  if (tolerancePct !== undefined && !(typeof tolerancePct === 'number' && tolerancePct > 0 && tolerancePct <= 10)) {
+    return { error: 'tolerancePct must be a number between 0 and 10' };
+  }
+  if (calibrationSessions.some(s => s.deviceId === device.deviceId && ACTIVE_CALIBRATION_STATES.includes(s.status))) {
+    return { error: 'A calibration session is already running for this device', status: 409 };
+  }
+  
+  const parameter = calibrationParameter(device.deviceType, quantity, channel);
+  const { factor, assumed } = currentCalibrationFactor(device, parameter);
+  const now = new Date().toISOString();
+  
+  const session = {
+    id: generateId('cal'),
+    deviceId: device.deviceId,
+    deviceType: device.deviceType,
+    quantity,
+    channel: quantity === 'current' && channels.length > 0 ? channel : null,
+    parameter,
+    reference,
+    samples: samples || 10,
+    tolerancePct: tolerancePct || 1,
+    status: 'sampling',
+    round: 1,
+    collected: [],
+    settleRemaining: 0,
+    initialFactor: factor,
+    factorAssumed: assumed,
+    factor,
+    before: null,
+    after: null,
+    rounds: [],
+    commandId: null,
+    error: null,
+    startedBy: user,
+    startedAt: now,
+    updatedAt: now,
+    completedAt: null,
+    certificateId: null
+  };
+  
+  calibrationSessions.push(session);
+  if (calibrationSessions.length > 500) {
+    calibrationSessions = calibrationSessions.filter((s, i) => i >= calibrationSessions.length - 500 || ACTIVE_CALIBRATION_STATES.includes(s.status));
+  }
+  saveCalibrations();
+  
+  console.log(`âš– Calibration ${session.id} started on ${device.deviceId}: ${parameter} against ${reference}`);
+  io.emit('calibrationUpdated', session);
+  return { session };
+}
+
+// Helper: Average of the collected samples
+function sampleAverage(session) {
+  return session.collected.reduce((sum, v) => sum + v, 0) / session.collected.length;
+}
+
+// Helper: Compute and push a corrected factor. Returns an error message
+// (and pushes nothing) when the factor is outside the parameter's range.
+function adjustCalibration(session, device, measured) {
+  const factor = parseFloat((session.factor * session.reference / measured).toPrecision(6));
+  const { values, error } = validateConfigValues({ [session.parameter]: factor });
+  if (error) {
+    return `Corrected factor ${factor} rejected: ${error}`;
+  }
+  
+  const [command] = setDesiredConfig(device, values, { user: session.startedBy });
+  
+  session.rounds.push({ round: session.round, measured, factor: session.factor, newFactor: factor, commandId: command.commandId });
+  session.factor = factor;
+  session.commandId = command.commandId;
+  session.status = 'adjusting';
+  session.collected = [];
+  return null;
+}
+
+// Feed a stored reading into the device's active calibration session
+function feedCalibration(deviceId, entry) {
+  const session = calibrationSessions.find(s => s.deviceId === deviceId && ACTIVE_CALIBRATION_STATES.includes(s.status));
+  if (!session) return;
+  
+  const device = deviceRegistry.get(deviceId);
+  
+  if (session.status === 'adjusting') {
+    const command = getCommand(session.commandId);
+    if (command && ['failed', 'timed-out', 'expired', 'cancelled'].includes(command.status)) {
+      finishCalibration(session, 'failed', `Calibration command ${command.status}`);
+      return;
+    }
+    if (!command || command.status !== 'acked') return;
+    session.status = 'settling';
+    session.settleRemaining = CALIBRATION_SETTLE_READINGS;
+  }
+  
+  if (session.status === 'settling') {
+    if (session.settleRemaining-- > 0) return;
+    session.status = 'verifying';
+  }
+  
+  const value = calibrationValue(session, entry);
+  if (value === null) return;
+  
+  session.collected.push(value);
+  session.updatedAt = new Date().toISOString();
+  if (session.collected.length < session.samples) return;
+  
+  const measured = sampleAverage(session);
+  if (!isFinite(measured) || measured <= 0) {
+    finishCalibration(session, 'failed', `Measured ${session.quantity} must be positive (got ${measured})`);
+    return;
+  }
+  const result = { factor: session.factor, measured, errorPct: errorPercent(measured, session.reference) };
+  
+  if (session.status === 'sampling') {
+    session.before = result;
+    if (Math.abs(result.errorPct) <= session.tolerancePct / 2) {
+      // Already accurate: certify without changing the factor
+      session.after = result;
+      finishCalibration(session, 'passed');
+      return;
+    }
+    const error = adjustCalibration(session, device, measured);
+    if (error) {
+      finishCalibration(session, 'failed', error);
+      return;
+    }
+  } else {
+    session.after = result;
+    if (Math.abs(result.errorPct) <= session.tolerancePct) {
+      finishCalibration(session, 'passed');
+      return;
+    }
+    if (session.round >= CALIBRATION_MAX_ROUNDS) {
+      finishCalibration(session, 'failed', `Did not converge within ${session.tolerancePct}% after ${session.round} round(s)`);
+      return;
+    }
+    session.round++;
+    const error = adjustCalibration(session, device, measured);
+    if (error) {
+      finishCalibration(session, 'failed', error);
+      return;
+    }
+  }
+  
+  io.emit('calibrationUpdated', session);
+  saveCalibrations();
+}
+
+// Close a session and issue its certificate
+function finishCalibration(session, status, error = null) {
+  const now = new Date().toISOString();
+  session.status = status;
+  session.error = error;
+  session.collected = [];
+  session.updatedAt = now;
+  session.completedAt = now;
+  
+  if (status !== 'cancelled' && session.before) {
+    const certificate = {
+      id: generateId('cert'),
+      sessionId: session.id,
+      deviceId: session.deviceId,
+      deviceType: session.deviceType,
+      quantity: session.quantity,
+      channel: session.channel,
+      parameter: session.parameter,
+      reference: session.reference,
+      tolerancePct: session.tolerancePct,
+      before: session.before,
+      after: session.after,
+      rounds: session.rounds.length,
+      result: status,
+      error,
+      factorAssumed: session.factorAssumed,
+      technician: session.startedBy,
+      issuedAt: now
+    };
+    calibrationCertificates.push(certificate);
+    session.certificateId = certificate.id;
+  }
+  
+  console.log(`âš– Calibration ${session.id} on ${session.deviceId} ${status}${error ? `: ${error}` : ''}`);
+  io.emit('calibrationUpdated', session);
+  saveCalibrations();
+}
+
+// Fail sessions that stopped making progress
+function expireCalibrations() {
+  const now = Date.now();
+  calibrationSessions
+    .filter(s => ACTIVE_CALIBRATION_STATES.includes(s.status) && now - new Date(s.startedAt).getTime() > CALIBRATION_TIMEOUT)
+    .forEach(s => finishCalibration(s, 'failed', 'Timed out waiting for readings'));
+}
+
+loadCalibrations();
+setInterval(expireCalibrations, 30000);
+
+// ==================== ALERT ENGINE ====================
+
+// Alert rules are evaluated against every stored reading. A rule targets a
+// device, a device type, or all devices, and checks one metric:
+//   voltage | current | power   with operator outside (min/max), above or below (threshold)
+//   sensors                     with operator not_equal (expected, default 'valid')
+// For multi-channel boards, current/power rules run per channel unless the
+// rule names one. A condition must hold for `duration` seconds before an alert
+// is raised; one alert stays open per rule/device/channel until the condition
+// clears.
+const ALERT_METRICS = ['voltage', 'current', 'power', 'sensors'];
+const ALERT_OPERATORS = ['outside', 'above', 'below', 'not_equal'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const MAX_ALERTS = 5000;
+
+let alertRules = [];
+let alertLog = [];
+const alertState = new Map(); // `${ruleId}:${deviceId}:${channel}` -> { breachSince, activeAlertId }
+
+const DEFAULT_ALERT_RULES = [
+  {
+    name: 'Voltage out of range',
+    metric: 'voltage',
+    operator: 'outside',
+    min: 180,
+    max: 250,
+    severity: 'critical'
+  },
+  {
+    name: 'Sensor fault',
+    metric: 'sensors',
+    operator: 'not_equal',
+    expected: 'valid',
+    severity: 'warning'
+  }
+];
+
+// Helper: Load alert rules and alert history
+function loadAlerts() {
+  try {
+    alertRules = JSON.parse(fs.readFileSync(ALERT_RULES_FILE, 'utf8')).rules || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading alert rules:', error);
+    }
+    alertRules = DEFAULT_ALERT_RULES.map(rule => normalizeAlertRule(rule).rule);
+    saveAlertRules();
+  }
+  
+  try {
+    alertLog = JSON.parse(fs.readFileSync(ALERTS_FILE, 'utf8')).alerts || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading alerts:', error);
+    }
+    alertLog = [];
+  }
+  
+  // Open alerts keep suppressing duplicates across restarts
+  alertLog
+    .filter(alert => !alert.clearedAt && alert.status !== 'resolved')
+    .forEach(alert => {
+      alertState.set(`${alert.ruleId}:${alert.deviceId}:${alert.channel}`, {
+        breachSince: new Date(alert.triggeredAt).getTime(),
+        activeAlertId: alert.id
+      });
+    });
+}
+
+// Helper: Save alert rules
+function saveAlertRules() {
+  try {
+    fs.writeFileSync(ALERT_RULES_FILE, JSON.stringify({ rules: alertRules }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving alert rules:', error);
+    return false;
+  }
+}
+
+// Helper: Save alert history
+function saveAlerts() {
+  try {
+    if (alertLog.length > MAX_ALERTS) {
+      alertLog = alertLog.slice(-MAX_ALERTS);
+    }
+    fs.writeFileSync(ALERTS_FILE, JSON.stringify({ alerts: alertLog }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving alerts:', error);
+    return false;
+  }
+}
+
+// Helper: Validate an alert rule definition. Returns { rule } or { error }.
+function normalizeAlertRule(body, existing = {}) {
+  const rule = { ...existing, ...body };
+  
+  if (!rule.name || typeof rule.name !== 'string') {
+    return { error: 'name required' };
+  }
+  if (!ALERT_METRICS.includes(rule.metric)) {
+    return { error: `metric must be one of ${ALERT_METRICS.join(', ')}` };
+  }
+  if (!ALERT_OPERATORS.includes(rule.operator)) {
+    return { error: `operator must be one of ${ALERT_OPERATORS.join(', ')}` };
+  }
+  if (rule.metric === 'sensors' && rule.operator !== 'not_equal') {
+    return { error: "sensors rules only support operator 'not_equal'" };
+  }
+  if (rule.metric !== 'sensors' && rule.operator === 'not_equal') {
+    return { error: "operator 'not_equal' only applies to the sensors metric" };
+  }
+  if (rule.operator === 'outside' && !(typeof rule.min === 'number' && typeof rule.max === 'number' && rule.min < rule.max)) {
+    return { error: "operator 'outside' requires numeric min < max" };
+  }
+  if ((rule.operator === 'above' || rule.operator === 'below') && typeof rule.threshold !== 'number') {
+    return { error: `operator '${rule.operator}' requires numeric threshold` };
+  }
+  if (rule.deviceType != null && !isDeviceType(String(rule.deviceType).toUpperCase())) {
+    return { error: `deviceType must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}` };
+  }
+  const channels = rule.deviceType ? DEVICE_DRIVERS[String(rule.deviceType).toUpperCase()].channels : allDeviceChannels();
+  if (rule.channel != null && !channels.includes(rule.channel)) {
+    return { error: channels.length ? `channel must be one of ${channels.join(', ')}` : 'channel does not apply to this device type' };
+  }
+  if (rule.duration != null && !(typeof rule.duration === 'number' && rule.duration >= 0)) {
+    return { error: 'duration must be a number of seconds >= 0' };
+  }
+  if (rule.severity != null && !ALERT_SEVERITIES.includes(rule.severity)) {
+    return { error: `severity must be one of ${ALERT_SEVERITIES.join(', ')}` };
+  }
+  
+  const now = new Date().toISOString();
+  return {
+    rule: {
+      id: rule.id || generateId('rule'),
+      name: rule.name,
+      enabled: rule.enabled !== false,
+      deviceId: rule.deviceId || null,
+      deviceType: rule.deviceType ? String(rule.deviceType).toUpperCase() : null,
+      metric: rule.metric,
+      operator: rule.operator,
+      channel: rule.channel || null,
+      min: rule.operator === 'outside' ? rule.min : null,
+      max: rule.operator === 'outside' ? rule.max : null,
+      threshold: rule.operator === 'above' || rule.operator === 'below' ? rule.threshold : null,
+      expected: rule.operator === 'not_equal' ? (rule.expected || 'valid') : null,
+      duration: rule.duration || 0,
+      severity: rule.severity || 'warning',
+      createdAt: rule.createdAt || now,
+      updatedAt: now
+    }
+  };
+}
+
+function ruleAppliesTo(rule, deviceId, deviceType) {
+  if (!rule.enabled) return false;
+  if (rule.deviceId && rule.deviceId !== deviceId) return false;
+  if (rule.deviceType && rule.deviceType !== deviceType) return false;
+  return true;
+}
+
+// Helper: Values a rule checks on one reading, as [{ channel, value }]
+function alertTargets(rule, reading) {
+  const { channels } = deviceDriver(reading.deviceType);
+  
+  if (rule.metric === 'voltage' || rule.metric === 'sensors') {
+    return rule.channel ? [] : [{ channel: null, value: reading[rule.metric] }];
+  }
+  
+  if (channels.length === 0) {
+    return rule.channel ? [] : [{ channel: null, value: reading[rule.metric] }];
+  }
+  
+  if (rule.channel) {
+    return channels.includes(rule.channel) ? [{ channel: rule.channel, value: reading[rule.channel]?.[rule.metric] }] : [];
+  }
+  return channels.map(channel => ({ channel, value: reading[channel]?.[rule.metric] }));
+}
+
+function isBreach(rule, value) {
+  if (rule.operator === 'not_equal') {
+    // Devices that don't report a status (or report 'unknown') are not faulty
+    return value != null && value !== 'unknown' && value !== rule.expected;
+  }
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return false;
+  }
+  if (rule.operator === 'outside') return value < rule.min || value > rule.max;
+  if (rule.operator === 'above') return value > rule.threshold;
+  if (rule.operator === 'below') return value < rule.threshold;
+  return false;
+}
+
+function describeBreach(rule, value, channel) {
+  const where = channel ? ` on ${channel}` : '';
+  if (rule.operator === 'outside') return `${rule.metric}${where} ${value} outside ${rule.min}-${rule.max}`;
+  if (rule.operator === 'above') return `${rule.metric}${where} ${value} above ${rule.threshold}`;
+  if (rule.operator === 'below') return `${rule.metric}${where} ${value} below ${rule.threshold}`;
+  return `${rule.metric} is '${value}' (expected '${rule.expected}')`;
+}
+
+// Evaluate all applicable rules against a stored reading entry
+function evaluateAlertRules(deviceId, entry) {
+  const now = new Date(entry.timestamp).getTime();
+  let changed = false;
+  
+  alertRules
+    .filter(rule => ruleAppliesTo(rule, deviceId, entry.deviceType))
+    .forEach(rule => {
+      alertTargets(rule, entry).forEach(({ channel, value }) => {
+        const key = `${rule.id}:${deviceId}:${channel}`;
+        const state = alertState.get(key) || { breachSince: null, activeAlertId: null };
+        
+        if (!isBreach(rule, value)) {
+          if (state.activeAlertId) {
+            const alert = alertLog.find(a => a.id === state.activeAlertId);
+            if (alert) {
+              alert.clearedAt = entry.timestamp;
+              io.emit('alertUpdated', alert);
+              emitWebhookEvent('alert.updated', alert);
+              changed = true;
+            }
+          }
+          alertState.delete(key);
+          return;
+        }
+        
+        if (state.breachSince === null) {
+          state.breachSince = now;
+        }
+        
+        if (!state.activeAlertId && now - state.breachSince >= rule.duration * 1000) {
+          const alert = {
+            id: generateId('alert'),
+            ruleId: rule.id,
+            ruleName: rule.name,
+            deviceId,
+            deviceType: entry.deviceType,
+            channel,
+            metric: rule.metric,
+            value,
+            severity: rule.severity,
+            message: describeBreach(rule, value, channel),
+            status: 'active',
+            triggeredAt: entry.timestamp,
+            breachStartedAt: new Date(state.breachSince).toISOString(),
+            clearedAt: null,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null,
+            note: null
+          };
+          
+          alertLog.push(alert);
+          state.activeAlertId = alert.id;
+          changed = true;
+          
+          console.log(`âš ï¸  ALERT [${alert.severity}] ${deviceId}: ${alert.message}`);
+          io.emit('alert', alert);
+          emitWebhookEvent('alert.raised', alert);
+        }
+        
+        alertState.set(key, state);
+      });
+    });
+  
+  if (changed) {
+    saveAlerts();
+  }
+}
+
+loadAlerts();
+
+// ==================== PROTECTIVE TRIPS ====================
+
+// Trip rules use the same conditions as alert rules, but switch the offending
+// relay off through the device driver: the breaching channel on multi-channel
+// boards, all channels for device-wide metrics such as voltage. Options:
+//   cooldown     seconds before the same rule may trip the same target again
+//   autoRestore  seconds after which the relay is switched back on (null = never)
+//   latched      relay stays off until an admin acknowledges the trip
+// Every automatic command is logged with source 'automation'.
+const MAX_TRIPS = 2000;
+
+let tripRules = [];
+let tripLog = [];
+const tripState = new Map(); // `${ruleId}:${deviceId}:${channel}` -> { breachSince }
+const restoreTimers = new Map(); // tripId -> timeout
+
+// Helper: Load trip rules and trip history
+function loadTrips() {
+  try {
+    tripRules = JSON.parse(fs.readFileSync(TRIP_RULES_FILE, 'utf8')).rules || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading trip rules:', error);
+    }
+    tripRules = [];
+  }
+  
+  try {
+    tripLog = JSON.parse(fs.readFileSync(TRIPS_FILE, 'utf8')).trips || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading trips:', error);
+    }
+    tripLog = [];
+  }
+  
+  // Re-arm auto-restores that were pending at shutdown
+  tripLog
+    .filter(trip => trip.status === 'tripped' && trip.restoreAt)
+    .forEach(scheduleRestore);
+}
+
+// Helper: Save trip rules
+function saveTripRules() {
+  try {
+    fs.writeFileSync(TRIP_RULES_FILE, JSON.stringify({ rules: tripRules }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving trip rules:', error);
+    return false;
+  }
+}
+
+// Helper: Save trip history
+function saveTrips() {
+  try {
+    if (tripLog.length > MAX_TRIPS) {
+      tripLog = tripLog.slice(-MAX_TRIPS);
+    }
+    fs.writeFileSync(TRIPS_FILE, JSON.stringify({ trips: tripLog }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving trips:', error);
+    return false;
+  }
+}
+
+// Helper: Validate a trip rule definition. Returns { rule } or { error }.
+function normalizeTripRule(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  const { rule, error } = normalizeAlertRule(merged, existing);
+  
+  if (error) {
+    return { error };
+  }
+  if (merged.cooldown != null && !(typeof merged.cooldown === 'number' && merged.cooldown >= 0)) {
+    return { error: 'cooldown must be a number of seconds >= 0' };
+  }
+  if (merged.autoRestore != null && !(typeof merged.autoRestore === 'number' && merged.autoRestore > 0)) {
+    return { error: 'autoRestore must be a number of seconds > 0, or null' };
+  }
+  if (merged.latched && merged.autoRestore != null) {
+    return { error: 'latched rules cannot auto-restore' };
+  }
+  
+  delete rule.severity;
+  return {
+    rule: {
+      ...rule,
+      cooldown: merged.cooldown != null ? merged.cooldown : 60,
+      autoRestore: merged.autoRestore != null ? merged.autoRestore : null,
+      latched: Boolean(merged.latched)
+    }
+  };
+}
+
+// Helper: Relay command for a device type, action ('on' | 'off') and channel
+// (key or number; unknown channels switch all of them)
+function relayCommand(deviceType, action, channel) {
+  const driver = deviceDriver(deviceType);
+  return driver.relayCommand(action, driverChannel(driver, channel) || null);
+}
+
+// Helper: { action, channel } when a command switches one of the device's
+// relays, else null
+function parseDeviceRelayCommand(deviceId, command) {
+  const device = deviceRegistry.get(deviceId);
+  return device ? deviceDriver(device.deviceType || device.expectedType).parseRelayCommand(command) : null;
+}
+
+// Helper: Send a command on behalf of the automation engine
+function sendAutomationCommand(deviceId, command, source = 'automation', user = null) {
+  return dispatchCommand(deviceId, command, source, { user }).status === 'sent';
+}
+
+function scheduleRestore(trip) {
+  const delay = Math.max(0, new Date(trip.restoreAt).getTime() - Date.now());
+  restoreTimers.set(trip.id, setTimeout(() => restoreTrip(trip, 'automation'), delay));
+}
+
+// Helper: Switch a tripped relay back on
+function restoreTrip(trip, restoredBy) {
+  clearTimeout(restoreTimers.get(trip.id));
+  restoreTimers.delete(trip.id);
+  
+  // Released before sending so the restore command isn't blocked by this latch
+  const command = relayCommand(trip.deviceType, 'on', trip.channel);
+  trip.status = 'restored';
+  trip.restoredAt = new Date().toISOString();
+  trip.restoredBy = restoredBy;
+  trip.restoreCommand = command;
+  trip.restoreSent = restoredBy === 'automation'
+    ? sendAutomationCommand(trip.deviceId, command)
+    : sendAutomationCommand(trip.deviceId, command, 'admin', restoredBy);
+  saveTrips();
+  
+  console.log(`â†' Automation RESTORE: ${trip.deviceId} - ${command}`);
+  io.emit('relayTripUpdated', trip);
+  emitWebhookEvent('trip.updated', trip);
+}
+
+// Helper: Latched trips holding a device (optionally one channel) off
+function getLatchedTrips(deviceId, channel) {
+  return tripLog.filter(trip => trip.deviceId === deviceId && trip.status === 'latched' &&
+    (!channel || !trip.channel || trip.channel === channel));
+}
+
+// Helper: Latched trips a command would override by switching a relay on
+function latchedTripsFor(deviceId, command) {
+  const relay = parseDeviceRelayCommand(deviceId, command);
+  return relay && relay.action === 'on' ? getLatchedTrips(deviceId, relay.channel) : [];
+}
+
+// Evaluate trip rules against a stored reading entry
+function evaluateTripRules(deviceId, entry) {
+  const now = new Date(entry.timestamp).getTime();
+  
+  tripRules
+    .filter(rule => ruleAppliesTo(rule, deviceId, entry.deviceType))
+    .forEach(rule => {
+      alertTargets(rule, entry).forEach(({ channel, value }) => {
+        const key = `${rule.id}:${deviceId}:${channel}`;
+        
+        if (!isBreach(rule, value)) {
+          tripState.delete(key);
+          return;
+        }
+        
+        const state = tripState.get(key) || { breachSince: now };
+        tripState.set(key, state);
+        
+        if (now - state.breachSince < rule.duration * 1000) {
+          return;
+        }
+        
+        // One trip per target until the cooldown passes; never re-trip a latched target
+        const lastTrip = tripLog.slice().reverse()
+          .find(t => t.ruleId === rule.id && t.deviceId === deviceId && t.channel === channel);
+        if (lastTrip && (lastTrip.status === 'latched' ||
+            now - new Date(lastTrip.trippedAt).getTime() < rule.cooldown * 1000)) {
+          return;
+        }
+        
+        const command = relayCommand(entry.deviceType, 'off', channel);
+        const trip = {
+          id: generateId('trip'),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          deviceId,
+          deviceType: entry.deviceType,
+          channel,
+          metric: rule.metric,
+          value,
+          message: describeBreach(rule, value, channel),
+          command,
+          sentToESP32: sendAutomationCommand(deviceId, command),
+          status: rule.latched ? 'latched' : 'tripped',
+          trippedAt: entry.timestamp,
+          restoreAt: rule.autoRestore ? new Date(now + rule.autoRestore * 1000).toISOString() : null,
+          restoredAt: null,
+          restoredBy: null,
+          acknowledgedAt: null,
+          acknowledgedBy: null
+        };
+        
+        tripLog.push(trip);
+        saveTrips();
+        tripState.delete(key);
+        
+        if (trip.restoreAt) {
+          scheduleRestore(trip);
+        }
+        
+        console.log(`âš ï¸  Automation TRIP: ${deviceId} - ${command} (${trip.message})`);
+        io.emit('relayTrip', trip);
+        emitWebhookEvent('trip.tripped', trip);
+      });
+    });
+}
+
+loadTrips();
+
+// ==================== BILLING ====================
+
+// Tariffs are defined server-side and assigned to devices (device.tariffId).
+// Energy counters are cumulative kWh; cost is computed from the increments
+// between consecutive readings, priced by tariff type:
+//   flat  - { rate }
+//   tiered - { tiers: [{ upTo: kWh | null, rate }] } on cumulative kWh in the period
+//   tou   - { periods: [{ name, days: [0-6], start: 'HH:MM', end: 'HH:MM', rate }], defaultRate }
+// plus optional fixedCharge (per period) and taxes ([{ name, rate }] as fractions).
+const TARIFF_TYPES = ['flat', 'tiered', 'tou'];
+let tariffs = [];
+
+// Helper: Load tariffs
+function loadTariffs() {
+  try {
+    tariffs = JSON.parse(fs.readFileSync(TARIFFS_FILE, 'utf8')).tariffs || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading tariffs:', error);
+    }
+    tariffs = [];
+  }
+}
+
+// Helper: Save tariffs
+function saveTariffs() {
+  try {
+    fs.writeFileSync(TARIFFS_FILE, JSON.stringify({ tariffs }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving tariffs:', error);
+    return false;
+  }
+}
+
+function isRate(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// Helper: Validate a tariff definition. Returns { tariff } or { error }.
+function normalizeTariff(body, existing = {}) {
+  const tariff = { ...existing, ...body };
+  
+  if (!tariff.name || typeof tariff.name !== 'string') {
+    return { error: 'name required' };
+  }
+  if (!TARIFF_TYPES.includes(tariff.type)) {
+    return { error: `type must be one of ${TARIFF_TYPES.join(', ')}` };
+  }
+  if (!tariff.currency || typeof tariff.currency !== 'string') {
+    return { error: 'currency required (e.g. PHP, USD)' };
+  }
+  if (tariff.timezone != null && !isValidTimeZone(tariff.timezone)) {
+    return { error: 'timezone must be an IANA time zone (e.g. Asia/Manila)' };
+  }
+  if (tariff.fixedCharge != null && !isRate(tariff.fixedCharge)) {
+    return { error: 'fixedCharge must be a number >= 0' };
+  }
+  if (tariff.taxes != null && (!Array.isArray(tariff.taxes) ||
+      tariff.taxes.some(t => !t || typeof t.name !== 'string' || !isRate(t.rate)))) {
+    return { error: 'taxes must be an array of { name, rate } with rate as a fraction (0.12 = 12%)' };
+  }
+  
+  if (tariff.type === 'flat' && !isRate(tariff.rate)) {
+    return { error: 'flat tariffs require rate' };
+  }
+  
+  if (tariff.type === 'tiered') {
+    const tiers = tariff.tiers;
+    if (!Array.isArray(tiers) || tiers.length === 0 || tiers.some(t => !t || !isRate(t.rate))) {
+      return { error: 'tiered tariffs require tiers: [{ upTo, rate }]' };
+    }
+    const bounded = tiers.slice(0, -1);
+    if (bounded.some((t, i) => !(t.upTo > 0) || (i > 0 && t.upTo <= bounded[i - 1].upTo)) ||
+        tiers[tiers.length - 1].upTo != null) {
+      return { error: 'tier upTo values must increase, and the last tier must have upTo null' };
+    }
+  }
+  
+  if (tariff.type === 'tou') {
+    const periods = tariff.periods;
+    if (!Array.isArray(periods) || periods.length === 0) {
+      return { error: 'tou tariffs require periods' };
+    }
+    for (const period of periods) {
+      if (!period || typeof period.name !== 'string' || !isRate(period.rate) ||
+          parseClock(period.start) === null || parseClock(period.end) === null ||
+          (period.days != null && (!Array.isArray(period.days) || period.days.some(d => !(d >= 0 && d <= 6))))) {
+        return { error: 'tou periods need { name, start: HH:MM, end: HH:MM, rate, days?: [0-6] }' };
+      }
+    }
+    if (!isRate(tariff.defaultRate)) {
+      return { error: 'tou tariffs require defaultRate for times outside all periods' };
+    }
+  }
+  
+  const now = new Date().toISOString();
+  return {
+    tariff: {
+      id: tariff.id || generateId('tariff'),
+      name: tariff.name,
+      type: tariff.type,
+      currency: tariff.currency.toUpperCase(),
+      timezone: tariff.timezone || DEFAULT_TIMEZONE,
+      rate: tariff.type === 'flat' ? tariff.rate : null,
+      tiers: tariff.type === 'tiered' ? tariff.tiers.map(t => ({ upTo: t.upTo != null ? t.upTo : null, rate: t.rate })) : null,
+      periods: tariff.type === 'tou' ? tariff.periods.map(p => ({
+        name: p.name,
+        days: p.days || [0, 1, 2, 3, 4, 5, 6],
+        start: p.start,
+        end: p.end,
+        rate: p.rate
+      })) : null,
+      defaultRate: tariff.type === 'tou' ? tariff.defaultRate : null,
+      fixedCharge: tariff.fixedCharge || 0,
+      taxes: tariff.taxes || [],
+      createdAt: tariff.createdAt || now,
+      updatedAt: now
+    }
+  };
+}
+
+// Helper: Time-of-use period covering a local time, or null
+function touPeriodAt(tariff, parts) {
+  const minute = parts.hour * 60 + parts.minute;
+  
+  return tariff.periods.find(period => {
+    const start = parseClock(period.start);
+    const end = parseClock(period.end);
+    
+    if (start <= end) {
+      return period.days.includes(parts.weekday) && minute >= start && minute < end;
+    }
+    // Wraps midnight: the late part belongs to the start day, the early part to the previous day
+    if (minute >= start) return period.days.includes(parts.weekday);
+    return minute < end && period.days.includes((parts.weekday + 6) % 7);
+  }) || null;
+}
+
+// Helper: Price an energy increment. Tiered pricing needs the kWh already
+// billed in the period. Returns [{ label, kwh, rate, amount }].
+function priceEnergy(tariff, kwh, date, billedKwh) {
+  if (tariff.type === 'flat') {
+    return [{ label: 'flat', kwh, rate: tariff.rate, amount: kwh * tariff.rate }];
+  }
+  
+  if (tariff.type === 'tou') {
+    const period = touPeriodAt(tariff, zonedParts(date, tariff.timezone));
+    const rate = period ? period.rate : tariff.defaultRate;
+    return [{ label: period ? period.name : 'default', kwh, rate, amount: kwh * rate }];
+  }
+  
+  // Tiered: split the increment across tier boundaries
+  const lines = [];
+  let remaining = kwh;
+  let position = billedKwh;
+  let lower = 0;
+  
+  for (const tier of tariff.tiers) {
+    const upper = tier.upTo != null ? tier.upTo : Infinity;
+    if (remaining <= 0) break;
+    if (position < upper) {
+      const portion = Math.min(remaining, upper - position);
+      lines.push({ label: `${lower}-${tier.upTo != null ? tier.upTo : '∞'} kWh`, kwh: portion, rate: tier.rate, amount: portion * tier.rate });
+      remaining -= portion;
+      position += portion;
+    }
+    lower = upper;
+  }
+  
+  return lines;
+}
+
+// Helper: Cumulative energy counters in a reading, as [{ channel, value }].
+// Single-channel boards report one 'main' counter; others one per channel.
+function energyCounters(reading) {
+  const { channels } = deviceDriver(reading.deviceType);
+  const counters = channels.length > 0
+    ? channels.map(channel => ({ channel, value: Number(reading[channel]?.energy) }))
+    : [{ channel: 'main', value: Number(reading.energy) }];
+  
+  return counters.filter(c => isFinite(c.value) && reading[c.channel === 'main' ? 'energy' : c.channel] != null);
+}
+
+// Stream per-channel energy increments (kWh) between consecutive readings of
+// a device in [from, to]. The last reading before `from` seeds the counters.
+// Counter resets are handled as in the energy ledger (see energyIncrement).
+async function forEachEnergyDelta(deviceId, from, to, onDelta) {
+  const previous = {};
+  
+  if (from) {
+    const before = new Date(new Date(from).getTime() - 1).toISOString();
+    const { readings } = await queryReadings({ deviceId, to: before, limit: 1, latest: true });
+    if (readings[0]) {
+      energyCounters(readings[0]).forEach(({ channel, value }) => { previous[channel] = value; });
+    }
+  }
+  
+  await forEachReading({ deviceId, from, to }, (reading) => {
+    energyCounters(reading).forEach(({ channel, value }) => {
+      if (previous[channel] === undefined) {
+        previous[channel] = value;
+        return;
+      }
+      
+      const { kwh, baseline } = energyIncrement(previous[channel], value);
+      previous[channel] = baseline;
+      if (kwh > 0) {
+        onDelta({ timestamp: reading.timestamp, channel, kwh });
+      }
+    });
+  });
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function roundKwh(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Helper: UTC bounds of a billing month (YYYY-MM) in a time zone
+function billingPeriodBounds(period, timeZone) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period || '');
+  if (!match) return null;
+  
+  const year = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  return {
+    from: zonedTimeToUtc(year, month, 1, 0, 0, timeZone),
+    to: zonedTimeToUtc(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, 1, 0, 0, timeZone)
+  };
+}
+
+// Compute a device's bill for a month under a tariff
+async function computeBill(deviceId, tariff, period) {
+  const bounds = billingPeriodBounds(period, tariff.timezone);
+  const to = new Date(bounds.to.getTime() - 1).toISOString();
+  
+  const channels = {};
+  const days = {};
+  const rateLines = {};
+  let billedKwh = 0;
+  
+  await forEachEnergyDelta(deviceId, bounds.from.toISOString(), to, ({ timestamp, channel, kwh }) => {
+    const date = new Date(timestamp);
+    const lines = priceEnergy(tariff, kwh, date, billedKwh);
+    const amount = lines.reduce((sum, line) => sum + line.amount, 0);
+    billedKwh += kwh;
+    
+    const channelTotals = channels[channel] || (channels[channel] = { kwh: 0, energyCharge: 0 });
+    channelTotals.kwh += kwh;
+    channelTotals.energyCharge += amount;
+    
+    const dayKey = zonedDateKey(date, tariff.timezone);
+    const day = days[dayKey] || (days[dayKey] = { date: dayKey, kwh: 0, energyCharge: 0, channels: {} });
+    day.kwh += kwh;
+    day.energyCharge += amount;
+    const dayChannel = day.channels[channel] || (day.channels[channel] = { kwh: 0, energyCharge: 0 });
+    dayChannel.kwh += kwh;
+    dayChannel.energyCharge += amount;
+    
+    lines.forEach(line => {
+      const rateLine = rateLines[line.label] || (rateLines[line.label] = { label: line.label, rate: line.rate, kwh: 0, amount: 0 });
+      rateLine.kwh += line.kwh;
+      rateLine.amount += line.amount;
+    });
+  });
+  
+  const energyCharge = Object.values(channels).reduce((sum, c) => sum + c.energyCharge, 0);
+  const subtotal = energyCharge + tariff.fixedCharge;
+  const taxes = tariff.taxes.map(tax => ({ name: tax.name, rate: tax.rate, amount: roundMoney(subtotal * tax.rate) }));
+  const roundTotals = (totals) => ({ kwh: roundKwh(totals.kwh), energyCharge: roundMoney(totals.energyCharge) });
+  
+  return {
+    deviceId,
+    period,
+    from: bounds.from.toISOString(),
+    to: bounds.to.toISOString(),
+    tariff: { id: tariff.id, name: tariff.name, type: tariff.type, timezone: tariff.timezone },
+    currency: tariff.currency,
+    totalKwh: roundKwh(billedKwh),
+    energyCharge: roundMoney(energyCharge),
+    fixedCharge: roundMoney(tariff.fixedCharge),
+    subtotal: roundMoney(subtotal),
+    taxes,
+    total: roundMoney(subtotal + taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+    rates: Object.values(rateLines).map(line => ({ ...line, kwh: roundKwh(line.kwh), amount: roundMoney(line.amount) })),
+    channels: Object.fromEntries(Object.entries(channels).map(([channel, totals]) => [channel, roundTotals(totals)])),
+    days: Object.values(days)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => ({
+        date: day.date,
+        ...roundTotals(day),
+        channels: Object.fromEntries(Object.entries(day.channels).map(([channel, totals]) => [channel, roundTotals(totals)]))
+      }))
+  };
+}
+
+loadTariffs();
+
+// ==================== ENERGY LEDGER ====================
+
+// Device energy counters are cumulative and drop back to zero on `clear`,
+// `reset` and `restart` (or a power loss). The ledger keeps the last counter
+// value per device/channel and books the increments into hourly buckets:
+//   counters: { deviceId: { channel: { value, timestamp } } }
+//   hours:    { deviceId: { 'YYYY-MM-DDTHH': { channel: kWh } } }   (UTC hours)
+//   resets:   [{ id, deviceId, channel, timestamp, previousValue, value, reason, commandId }]
+const ENERGY_RESET_COMMANDS = ['clear', 'reset', 'restart'];
+const ENERGY_JITTER = 0.001;              // kWh; smaller decreases are noise, not resets
+const ENERGY_RESET_WINDOW = 10 * 60 * 1000; // Attribute resets to commands sent this recently
+const MAX_ENERGY_RESETS = 1000;
+const ENERGY_INTERVALS = { day: 30, week: 12 * 7, month: 365 }; // Default range in days
+// Hourly buckets outlive raw readings so the longest default range is covered
+// (a ledger rebuilt from readings only reaches back READINGS_RETENTION_DAYS)
+const ENERGY_RETENTION_DAYS = Math.max(parseInt(process.env.ENERGY_RETENTION_DAYS) || 400, ENERGY_INTERVALS.month, READINGS_RETENTION_DAYS);
+
+let energyLedger = { counters: {}, hours: {}, resets: [] };
+let energyLedgerDirty = false;
+let energyRebuildSeeds = null; // while rebuilding: 'deviceId/channel' -> first live counter
+const expectedResets = new Map(); // deviceId -> { commandId, command, at }
+
+// Helper: Consumption between two counter values. A drop larger than the
+// jitter tolerance is a reset: the counter restarted from zero, so the new
+// value is what was used since. Returns { kwh, reset, baseline }.
+function energyIncrement(last, value) {
+  if (value >= last) {
+    return { kwh: value - last, reset: false, baseline: value };
+  }
+  if (last - value <= ENERGY_JITTER) {
+    return { kwh: 0, reset: false, baseline: last };
+  }
+  return { kwh: value, reset: true, baseline: value };
+}
+
+// Helper: Load energy ledger. Returns false when no ledger exists yet.
+function loadEnergyLedger() {
+  try {
+    energyLedger = { counters: {}, hours: {}, resets: [], ...JSON.parse(fs.readFileSync(ENERGY_LEDGER_FILE, 'utf8')) };
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading energy ledger:', error);
+    }
+    return false;
+  }
+}
+
+// Helper: Save energy ledger
+function saveEnergyLedger() {
+  try {
+    fs.writeFileSync(ENERGY_LEDGER_FILE, JSON.stringify(energyLedger));
+    energyLedgerDirty = false;
+    return true;
+  } catch (error) {
+    console.error('Error saving energy ledger:', error);
+    return false;
+  }
+}
+
+// Remember counter-resetting commands so the following drop is attributed to them
+function noteEnergyResetCommand(entry) {
+  if (ENERGY_RESET_COMMANDS.includes(String(entry.command).trim().split(/\s+/)[0])) {
+    expectedResets.set(entry.deviceId, { commandId: entry.commandId, command: entry.command, at: Date.now() });
+  }
+}
+
+// Book one reading into a ledger
+function bookEnergy(ledger, deviceId, entry, onReset) {
+  const counters = ledger.counters[deviceId] || (ledger.counters[deviceId] = {});
+  const hours = ledger.hours[deviceId] || (ledger.hours[deviceId] = {});
+  
+  energyCounters(entry).forEach(({ channel, value }) => {
+    const last = counters[channel];
+    
+    if (last) {
+      const { kwh, reset, baseline } = energyIncrement(last.value, value);
+      
+      if (kwh > 0) {
+        const hour = hours[segmentKeyFor(entry.timestamp)] || (hours[segmentKeyFor(entry.timestamp)] = {});
+        hour[channel] = (hour[channel] || 0) + kwh;
+      }
+      if (reset) {
+        onReset({ deviceId, channel, timestamp: entry.timestamp, previousValue: last.value, value });
+      }
+      counters[channel] = { value: baseline, timestamp: entry.timestamp };
+    } else {
+      counters[channel] = { value, timestamp: entry.timestamp };
+    }
+  });
+}
+
+// Record a stored reading in the ledger
+function recordEnergy(deviceId, entry) {
+  // Counters the rebuild hasn't reached yet start here; the merge books the
+  // energy used since the last stored reading
+  if (energyRebuildSeeds) {
+    const counters = energyLedger.counters[deviceId] || {};
+    energyCounters(entry).forEach(({ channel, value }) => {
+      const key = `${deviceId}/${channel}`;
+      if (!counters[channel] && !energyRebuildSeeds.has(key)) {
+        energyRebuildSeeds.set(key, { deviceId, channel, value, timestamp: entry.timestamp });
+      }
+    });
+  }
+  
+  bookEnergy(energyLedger, deviceId, entry, (event) => {
+    const expected = expectedResets.get(deviceId);
+    const fromCommand = expected && Date.now() - expected.at <= ENERGY_RESET_WINDOW;
+    
+    const reset = {
+      id: generateId('reset'),
+      ...event,
+      reason: fromCommand ? 'command' : 'rollback',
+      commandId: fromCommand ? expected.commandId : null
+    };
+    
+    energyLedger.resets.push(reset);
+    if (energyLedger.resets.length > MAX_ENERGY_RESETS) {
+      energyLedger.resets = energyLedger.resets.slice(-MAX_ENERGY_RESETS);
+    }
+    
+    console.log(`â†º Energy counter reset on ${deviceId}/${event.channel}: ${event.previousValue} â†' ${event.value} (${reset.reason})`);
+    io.emit('energyCounterReset', reset);
+  });
+  
+  energyLedgerDirty = true;
+}
+
+// Rebuild the ledger from stored readings (first start with existing data).
+// Readings that arrive meanwhile are booked live; the two are merged after.
+async function rebuildEnergyLedger() {
+  const startedAt = new Date().toISOString();
+  const rebuilt = { counters: {}, hours: {}, resets: [] };
+  const onReset = (event) => {
+    rebuilt.resets.push({ id: generateId('reset'), ...event, reason: 'rollback', commandId: null });
+  };
+  energyRebuildSeeds = new Map();
+  
+  try {
+    await forEachReading({ to: startedAt }, (reading) => {
+      bookEnergy(rebuilt, reading.deviceId, reading, onReset);
+    });
+  } catch (error) {
+    energyRebuildSeeds = null;
+    throw error;
+  }
+  
+  // Bridge each stored counter to the first live reading of that counter
+  energyRebuildSeeds.forEach(({ deviceId, channel, value, timestamp }) => {
+    const last = rebuilt.counters[deviceId]?.[channel];
+    if (!last) return;
+    
+    const { kwh, reset } = energyIncrement(last.value, value);
+    if (kwh > 0) {
+      const hours = rebuilt.hours[deviceId] || (rebuilt.hours[deviceId] = {});
+      const hour = hours[segmentKeyFor(timestamp)] || (hours[segmentKeyFor(timestamp)] = {});
+      hour[channel] = (hour[channel] || 0) + kwh;
+    }
+    if (reset) {
+      onReset({ deviceId, channel, timestamp, previousValue: last.value, value });
+    }
+  });
+  energyRebuildSeeds = null;
+  
+  Object.entries(rebuilt.hours).forEach(([deviceId, hours]) => {
+    const liveHours = energyLedger.hours[deviceId] || (energyLedger.hours[deviceId] = {});
+    Object.entries(hours).forEach(([key, channels]) => {
+      const liveHour = liveHours[key] || (liveHours[key] = {});
+      Object.entries(channels).forEach(([channel, kwh]) => {
+        liveHour[channel] = (liveHour[channel] || 0) + kwh;
+      });
+    });
+  });
+  Object.entries(rebuilt.counters).forEach(([deviceId, counters]) => {
+    energyLedger.counters[deviceId] = { ...counters, ...energyLedger.counters[deviceId] };
+  });
+  energyLedger.resets = [...rebuilt.resets, ...energyLedger.resets].slice(-MAX_ENERGY_RESETS);
+  
+  energyLedgerDirty = true;
+  console.log(`âœ" Energy ledger rebuilt for ${Object.keys(rebuilt.hours).length} device(s)`);
+}
+
+// Drop ledger hours older than the readings retention window
+function pruneEnergyLedger() {
+  const cutoff = segmentKeyFor(new Date(Date.now() - ENERGY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  
+  Object.values(energyLedger.hours).forEach(hours => {
+    Object.keys(hours).forEach(key => {
+      if (key < cutoff) {
+        delete hours[key];
+        energyLedgerDirty = true;
+      }
+    });
+  });
+}
+
+// Helper: Local period label of an hour bucket for an interval
+function energyPeriodKey(date, interval, timeZone) {
+  const { year, month, day, weekday } = zonedParts(date, timeZone);
+  
+  if (interval === 'month') {
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+  if (interval === 'week') {
+    // Weeks start on Monday
+    const monday = new Date(Date.UTC(year, month - 1, day) - ((weekday + 6) % 7) * 24 * 60 * 60 * 1000);
+    return monday.toISOString().slice(0, 10);
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Summarize ledger consumption per device, channel and period. Hour buckets
+// are UTC, so zones with a sub-hour offset are attributed by the hour start.
+function summarizeEnergy(deviceIds, interval, from, to, timeZone) {
+  const fromKey = segmentKeyFor(from.toISOString());
+  const toKey = segmentKeyFor(to.toISOString());
+  const round = (channels) => Object.fromEntries(Object.entries(channels).map(([channel, kwh]) => [channel, roundKwh(kwh)]));
+  
+  return deviceIds.map(deviceId => {
+    const periods = new Map();
+    const channels = {};
+    let total = 0;
+    
+    Object.keys(energyLedger.hours[deviceId] || {}).sort().forEach(key => {
+      if (key < fromKey || key > toKey) return;
+      
+      const label = energyPeriodKey(new Date(`${key}:00:00.000Z`), interval, timeZone);
+      const period = periods.get(label) || { period: label, kwh: 0, channels: {} };
+      periods.set(label, period);
+      
+      Object.entries(energyLedger.hours[deviceId][key]).forEach(([channel, kwh]) => {
+        period.kwh += kwh;
+        period.channels[channel] = (period.channels[channel] || 0) + kwh;
+        channels[channel] = (channels[channel] || 0) + kwh;
+        total += kwh;
+      });
+    });
+    
+    return {
+      deviceId,
+      deviceType: deviceRegistry.get(deviceId)?.deviceType || null,
+      totalKwh: roundKwh(total),
+      channels: round(channels),
+      periods: Array.from(periods.values()).map(period => ({
+        period: period.period,
+        kwh: roundKwh(period.kwh),
+        channels: round(period.channels)
+      }))
+    };
+  });
+}
+
+if (!loadEnergyLedger() && readingsIndex.size > 0) {
+  rebuildEnergyLedger().catch(error => console.error('Error rebuilding energy ledger:', error));
+}
+
+setInterval(() => {
+  if (energyLedgerDirty) saveEnergyLedger();
+}, 10000);
+setInterval(pruneEnergyLedger, 60 * 60 * 1000);
+
+// ==================== RELAY EVENTS ====================
+
+// Relay/SSR switching timeline. Every reading carries the relay state (per
+// channel on multi-channel boards; single-channel boards use channel 'main');
+// a change from the last known state becomes an event:
+//   { id, deviceId, deviceType, channel, state, previousState, timestamp,
+//     origin, commandId, command, source, user }
+// origin is 'command' when a matching relay command was sent to the device
+// shortly before (its id, source and user are copied), 'device' when the
+// relay switched without one (local button, firmware protection), 'initial'
+// for the first state seen (or seen again after an outage) and 'offline' when the device times out (state
+// 'unknown' until it reports again).
+const RELAY_COMMAND_WINDOW = 2 * 60 * 1000; // A command explains a switch seen this soon after it was sent
+const RELAY_EVENT_STATUSES = ['sent', 'acked', 'timed-out'];
+const RELAY_EVENT_DAYS = 7; // Default range
+const MAX_RELAY_EVENTS = 10000;
+
+let relayEvents = [];
+const relayStates = new Map(); // deviceId -> { channel: { state, timestamp } }
+
+// Helper: Load relay events and the last known state per device/channel
+function loadRelayEvents() {
+  try {
+    relayEvents = JSON.parse(fs.readFileSync(RELAY_EVENTS_FILE, 'utf8')).events || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading relay events:', error);
+    }
+    relayEvents = [];
+  }
+  
+  relayEvents.forEach(event => {
+    const states = relayStates.get(event.deviceId) || {};
+    states[event.channel] = { state: event.state, timestamp: event.timestamp };
+    relayStates.set(event.deviceId, states);
+  });
+}
+
+// Helper: Save relay events
+function saveRelayEvents() {
+  try {
+    if (relayEvents.length > MAX_RELAY_EVENTS) {
+      relayEvents = relayEvents.slice(-MAX_RELAY_EVENTS);
+    }
+    fs.writeFileSync(RELAY_EVENTS_FILE, JSON.stringify({ events: relayEvents }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving relay events:', error);
+    return false;
+  }
+}
+
+// Helper: Relay states in a reading, as [{ channel, state: 'on' | 'off' }]
+function relayStatesOf(reading) {
+  const driver = deviceDriver(reading.deviceType);
+  const values = driver.channels.length > 0
+    ? driver.channels.map(channel => ({ channel, value: reading[channel]?.[driver.relayField] }))
+    : [{ channel: 'main', value: reading[driver.relayField] }];
+  
+  return values
+    .filter(({ value }) => typeof value === 'boolean')
+    .map(({ channel, value }) => ({ channel, state: value ? 'on' : 'off' }));
+}
+
+// Helper: Latest command that would have switched this channel to `state`
+// and was sent within RELAY_COMMAND_WINDOW before `timestamp`, unless an
+// earlier event already claimed it
+function findRelayCommand(deviceId, deviceType, channel, state, timestamp) {
+  const driver = deviceDriver(deviceType);
+  const at = new Date(timestamp).getTime();
+  
+  return commandLog.commands
+    .filter(c => {
+      if (c.deviceId !== deviceId || !RELAY_EVENT_STATUSES.includes(c.status)) return false;
+      const sentAt = new Date(c.sentAt || c.timestamp).getTime();
+      if (sentAt > at || at - sentAt > RELAY_COMMAND_WINDOW) return false;
+      
+      const relay = driver.parseRelayCommand(c.command);
+      return relay && relay.action === state && (!relay.channel || relay.channel === channel);
+    })
+    .reverse()
+    .find(c => !relayEvents.some(e => e.commandId === c.commandId && e.channel === channel));
+}
+
+// Helper: Append a relay event and update the last known state
+function addRelayEvent(event) {
+  const entry = { id: generateId('relay'), ...event };
+  relayEvents.push(entry);
+  
+  const states = relayStates.get(entry.deviceId) || {};
+  states[entry.channel] = { state: entry.state, timestamp: entry.timestamp };
+  relayStates.set(entry.deviceId, states);
+  
+  io.emit('relayEvent', entry);
+  return entry;
+}
+
+// Record relay transitions in a stored reading entry
+function recordRelayStates(deviceId, entry) {
+  const known = relayStates.get(deviceId) || {};
+  let changed = false;
+  
+  relayStatesOf(entry).forEach(({ channel, state }) => {
+    const previousState = known[channel]?.state || null;
+    if (previousState === state) return;
+    
+    // A command queued while the device was offline can be delivered on reconnect
+    const command = previousState === null
+      ? null
+      : findRelayCommand(deviceId, entry.deviceType, channel, state, entry.timestamp);
+    let origin = 'device';
+    if (command) origin = 'command';
+    else if (previousState === null || previousState === 'unknown') origin = 'initial';
+    
+    addRelayEvent({
+      deviceId,
+      deviceType: entry.deviceType,
+      channel,
+      state,
+      previousState,
+      timestamp: entry.timestamp,
+      origin,
+      commandId: command ? command.commandId : null,
+      command: command ? command.command : null,
+      source: command ? command.source : null,
+      user: command ? command.user || null : null
+    });
+    changed = true;
+    
+    if (origin === 'device') {
+      console.log(`âš ï¸  Relay ${deviceId}/${channel} switched ${state} without a command`);
+    }
+  });
+  
+  if (changed) {
+    saveRelayEvents();
+  }
+}
+
+// Relay state is unknown while a device is offline
+function markRelayStatesUnknown(deviceId, device) {
+  const known = relayStates.get(deviceId);
+  if (!known) return;
+  
+  const channels = Object.keys(known).filter(channel => known[channel].state !== 'unknown');
+  channels.forEach(channel => {
+    addRelayEvent({
+      deviceId,
+      deviceType: device.deviceType,
+      channel,
+      state: 'unknown',
+      previousState: known[channel].state,
+      timestamp: device.lastSeen,
+      origin: 'offline',
+      commandId: null,
+      command: null,
+      source: null,
+      user: null
+    });
+  });
+  
+  if (channels.length > 0) {
+    saveRelayEvents();
+  }
+}
+
+// Helper: Per channel and local day, seconds on/off, duty cycle (share of
+// known time the relay was on) and number of switches in [from, to]
+function summarizeRelayDays(events, from, to, timeZone) {
+  const days = new Map(); // `${date}/${channel}` -> totals
+  const totalsFor = (date, channel) => {
+    const key = `${date}/${channel}`;
+    if (!days.has(key)) {
+      days.set(key, { date, channel, onSeconds: 0, offSeconds: 0, unknownSeconds: 0, switches: 0 });
+    }
+    return days.get(key);
+  };
+  
+  const byChannel = new Map();
+  events.forEach(event => {
+    if (!byChannel.has(event.channel)) byChannel.set(event.channel, []);
+    byChannel.get(event.channel).push(event);
+  });
+  
+  byChannel.forEach((channelEvents, channel) => {
+    channelEvents.forEach((event, i) => {
+      const next = channelEvents[i + 1];
+      let start = Math.max(new Date(event.timestamp).getTime(), from.getTime());
+      const end = Math.min(next ? new Date(next.timestamp).getTime() : Date.now(), to.getTime());
+      
+      if (event.timestamp >= from.toISOString() && event.previousState && event.state !== 'unknown' &&
+          event.previousState !== 'unknown') {
+        totalsFor(zonedDateKey(new Date(event.timestamp), timeZone), channel).switches++;
+      }
+      
+      // Split the interval at local midnights
+      while (start < end) {
+        const { year, month, day } = zonedParts(new Date(start), timeZone);
+        const midnight = zonedTimeToUtc(year, month, day + 1, 0, 0, timeZone).getTime();
+        const stop = Math.min(end, midnight);
+        const totals = totalsFor(zonedDateKey(new Date(start), timeZone), channel);
+        totals[`${event.state}Seconds`] += (stop - start) / 1000;
+        start = stop;
+      }
+    });
+  });
+  
+  return Array.from(days.values())
+    .sort((a, b) => a.date.localeCompare(b.date) || a.channel.localeCompare(b.channel))
+    .map(totals => {
+      const known = totals.onSeconds + totals.offSeconds;
+      return {
+        ...totals,
+        onSeconds: Math.round(totals.onSeconds),
+        offSeconds: Math.round(totals.offSeconds),
+        unknownSeconds: Math.round(totals.unknownSeconds),
+        dutyCycle: known > 0 ? Math.round((totals.onSeconds / known) * 10000) / 10000 : null
+      };
+    });
+}
+
+loadRelayEvents();
+
+// ==================== OUTBOUND WEBHOOKS ====================
+
+// Admin-managed subscriptions receive JSON events:
+//   { id, type, timestamp, data }
+// signed with the subscription secret:
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+// Failed deliveries are retried with exponential backoff; after
+// WEBHOOK_MAX_ATTEMPTS the delivery is moved to the dead-letter log.
+const WEBHOOK_EVENTS = [
+  'device.registered',    // first time a device is seen
+  'device.online',
+  'device.disconnected',  // timed out in the cleanup interval
+  'device.pending',       // quarantined, awaiting approval
+  'relay.changed',        // admin/operator switched a relay or SSR
+  'alert.raised',
+  'alert.updated',        // cleared, acknowledged or resolved
+  'trip.tripped',
+  'trip.updated',
+  'command.issued',
+  'command.completed',    // acked, failed, timed-out, expired or cancelled
+  'ota.completed'         // a firmware rollout target succeeded, failed or was cancelled
+];
+const WEBHOOK_TIMEOUT = 10000;
+const MAX_DEAD_LETTERS = 1000;
+// Delivery status changes are batched into one write per WEBHOOK_SAVE_DELAY ms
+const WEBHOOK_SAVE_DELAY = 2000;
+
+let webhooks = [];
+let webhookDeadLetters = [];
+let webhookSaveTimer = null;
+
+// Helper: Load webhook subscriptions and dead letters
+function loadWebhooks() {
+  const read = (file, key) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))[key] || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading ${path.basename(file)}:`, error);
+      }
+      return [];
+    }
+  };
+  
+  webhooks = read(WEBHOOKS_FILE, 'webhooks');
+  webhookDeadLetters = read(WEBHOOK_DEAD_LETTERS_FILE, 'deadLetters');
+}
+
+// Helper: Save webhook subscriptions
+function saveWebhooks() {
+  clearTimeout(webhookSaveTimer);
+  webhookSaveTimer = null;
+  try {
+    fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify({ webhooks }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving webhooks:', error);
+    return false;
+  }
+}
+
+// Helper: Save webhook subscriptions soon, coalescing delivery updates
+function scheduleWebhooksSave() {
+  if (!webhookSaveTimer) {
+    webhookSaveTimer = setTimeout(saveWebhooks, WEBHOOK_SAVE_DELAY);
+  }
+}
+
+// Helper: Save dead-letter log
+function saveWebhookDeadLetters() {
+  try {
+    fs.writeFileSync(WEBHOOK_DEAD_LETTERS_FILE, JSON.stringify({ deadLetters: webhookDeadLetters }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving webhook dead letters:', error);
+    return false;
+  }
+}
+
+// Helper: Validate a subscription. Returns { webhook } or { error }.
+function normalizeWebhook(body, existing = {}) {
+  const webhook = { ...existing, ...body };
+  
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  
+  const events = webhook.events || ['*'];
+  if (!Array.isArray(events) || events.length === 0 ||
+      events.some(e => e !== '*' && !WEBHOOK_EVENTS.includes(e))) {
+    return { error: `events must be '*' or any of ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+  
+  const now = new Date().toISOString();
+  return {
+    webhook: {
+      id: webhook.id || generateId('wh'),
+      name: webhook.name || null,
+      url: url.toString(),
+      events,
+      enabled: webhook.enabled !== false,
+      secret: webhook.secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      createdAt: webhook.createdAt || now,
+      updatedAt: now,
+      lastDeliveryAt: webhook.lastDeliveryAt || null,
+      lastStatus: webhook.lastStatus || null
+    }
+  };
+}
+
+// Helper: Public view of a subscription (secret is only returned on create)
+function describeWebhook(webhook) {
+  const { secret, ...publicFields } = webhook;
+  return { ...publicFields, secretPrefix: secret.slice(0, 10) };
+}
+
+// Helper: POST a signed event. Resolves { ok, status, error }.
+function postWebhook(webhook, event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+  const url = new URL(webhook.url);
+  
+  return new Promise(resolve => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      timeout: WEBHOOK_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'power-monitor-webhooks/3.0',
+        'X-Webhook-Id': event.id,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signature}`
+      }
+    }, (response) => {
+      response.resume();
+      const ok = response.statusCode >= 200 && response.statusCode < 300;
+      resolve({ ok, status: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` });
+    });
+    
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', (error) => resolve({ ok: false, status: null, error: error.message }));
+    request.end(body);
+  });
+}
+
+// Deliver an event to one subscription, retrying with backoff
+async function deliverWebhook(webhook, event, attempt = 1) {
+  const result = await postWebhook(webhook, event);
+  
+  webhook.lastDeliveryAt = new Date().toISOString();
+  webhook.lastStatus = result.ok ? 'delivered' : `failed: ${result.error}`;
+  scheduleWebhooksSave();
+  
+  if (result.ok) {
+    return result;
+  }
+  
+  if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+    const delay = WEBHOOK_RETRY_BASE * Math.pow(2, attempt - 1);
+    console.log(`âš ï¸  Webhook ${webhook.id} (${event.type}) failed: ${result.error}, retrying in ${delay}ms`);
+    setTimeout(() => {
+      // The subscription may have been removed or disabled meanwhile
+      const current = webhooks.find(w => w.id === webhook.id);
+      if (current && current.enabled) deliverWebhook(current, event, attempt + 1);
+    }, delay);
+    return result;
+  }
+  
+  console.log(`âœ— Webhook ${webhook.id} (${event.type}) dead-lettered after ${attempt} attempt(s): ${result.error}`);
+  webhookDeadLetters.push({
+    id: generateId('dl'),
+    webhookId: webhook.id,
+    url: webhook.url,
+    event,
+    attempts: attempt,
+    error: result.error,
+    failedAt: new Date().toISOString()
+  });
+  if (webhookDeadLetters.length > MAX_DEAD_LETTERS) {
+    webhookDeadLetters = webhookDeadLetters.slice(-MAX_DEAD_LETTERS);
+  }
+  saveWebhookDeadLetters();
+  return result;
+}
+
+// Publish an event to every enabled subscription that wants it
+function emitWebhookEvent(type, data) {
+  const subscribers = webhooks.filter(w => w.enabled && (w.events.includes('*') || w.events.includes(type)));
+  if (subscribers.length === 0) return null;
+  
+  const event = { id: generateId('evt'), type, timestamp: new Date().toISOString(), data };
+  subscribers.forEach(webhook => {
+    deliverWebhook(webhook, event).catch(error => console.error('Error delivering webhook:', error));
+  });
+  return event;
+}
+
+loadWebhooks();
+
+// ==================== SCHEDULER ====================
+
+// Persisted relay schedules. Recurrence is one of:
+//   weekly - { days: [0-6], time: 'HH:MM', endTime?: 'HH:MM' } (endTime applies
+//            the opposite action, on the next day when it is before time)
+//   cron   - { cron: 'm h dom mon dow' } (lists, ranges, steps; 0/7 = Sunday)
+//   once   - { runAt } (ISO; without an offset it is local to the timezone)
+// Times are evaluated in the schedule timezone. Each schedule stores its next
+// run, so runs missed while the server was down are caught up within
+// SCHEDULE_MISFIRE_GRACE and skipped after that.
+const SCHEDULE_RECURRENCES = ['weekly', 'cron', 'once'];
+const SCHEDULE_ACTIONS = ['on', 'off'];
+const SCHEDULE_MISFIRE_GRACE = 15 * 60 * 1000;
+const SCHEDULE_COMMAND_TTL = 15 * 60; // seconds a scheduled command may wait in the queue
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+let schedules = [];
+
+// Helper: Load schedules
+function loadSchedules() {
+  try {
+    schedules = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')).schedules || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading schedules:', error);
+    }
+    schedules = [];
+  }
+}
+
+// Helper: Save schedules
+function saveSchedules() {
+  try {
+    fs.writeFileSync(SCHEDULES_FILE, JSON.stringify({ schedules }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving schedules:', error);
+    return false;
+  }
+}
+
+// Helper: Values matched by one cron field, or null if invalid
+function parseCronField(text, { min, max }) {
+  const values = new Set();
+  
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let low;
+    let high;
+    
+    if (range === '*') {
+      low = min;
+      high = max;
+    } else if (range.includes('-')) {
+      [low, high] = range.split('-').map(Number);
+    } else {
+      low = Number(range);
+      high = stepText === undefined ? low : max;
+    }
+    
+    if (![low, high, step].every(Number.isInteger) || step < 1 || low < min || high > max || low > high) {
+      return null;
+    }
+    for (let value = low; value <= high; value += step) {
+      values.add(value);
+    }
+  }
+  
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+// Helper: Parse a 5-field cron expression. Returns a spec or null.
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+  
+  const parsed = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (parsed.includes(null)) return null;
+  
+  return {
+    minutes: parsed[0],
+    hours: parsed[1],
+    days: parsed[2],
+    months: parsed[3],
+    weekdays: Array.from(new Set(parsed[4].map(d => d % 7))),
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+// Helper: Whether a cron spec runs on a calendar day. As in cron, when both
+// day of month and day of week are restricted either one matching is enough.
+function cronMatchesDay(spec, month, day, weekday) {
+  if (!spec.months.includes(month)) return false;
+  if (spec.anyDay && spec.anyWeekday) return true;
+  if (spec.anyDay) return spec.weekdays.includes(weekday);
+  if (spec.anyWeekday) return spec.days.includes(day);
+  return spec.days.includes(day) || spec.weekdays.includes(weekday);
+}
+
+// Helper: Recurring triggers of a schedule as [{ spec, action }]
+function scheduleTriggers(schedule) {
+  if (schedule.recurrence === 'cron') {
+    return [{ spec: parseCron(schedule.cron), action: schedule.action }];
+  }
+  if (schedule.recurrence !== 'weekly') {
+    return [];
+  }
+  
+  const at = (time, days, action) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return {
+      spec: { minutes: [minute], hours: [hour], days: [], months: parseCronField('*', CRON_FIELDS[3]), weekdays: days, anyDay: true, anyWeekday: false },
+      action
+    };
+  };
+  
+  const triggers = [at(schedule.time, schedule.days, schedule.action)];
+  if (schedule.endTime) {
+    const endDays = parseClock(schedule.endTime) <= parseClock(schedule.time)
+      ? schedule.days.map(d => (d + 1) % 7)
+      : schedule.days;
+    triggers.push(at(schedule.endTime, endDays, schedule.action === 'on' ? 'off' : 'on'));
+  }
+  return triggers;
+}
+
+// Helper: First run strictly after `after`. Returns { at, action } or null.
+function nextScheduleRun(schedule, after) {
+  if (schedule.recurrence === 'once') {
+    const runAt = new Date(schedule.runAt);
+    return !schedule.lastRunAt && runAt > after ? { at: runAt, action: schedule.action } : null;
+  }
+  
+  const triggers = scheduleTriggers(schedule);
+  const start = zonedParts(after, schedule.timezone);
+  
+  // Walk local calendar days; cron specs can be sparse (29 Feb), so look 4 years ahead
+  for (let offset = 0; offset <= 4 * 366; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    let best = null;
+    
+    triggers.forEach(({ spec, action }) => {
+      if (!cronMatchesDay(spec, month, day, date.getUTCDay())) return;
+      
+      for (const hour of spec.hours) {
+        for (const minute of spec.minutes) {
+          const at = zonedTimeToUtc(year, month, day, hour, minute, schedule.timezone);
+          if (at > after) {
+            if (!best || at < best.at) best = { at, action };
+            return;
+          }
+        }
+      }
+    });
+    
+    if (best) return best;
+  }
+  
+  return null;
+}
+
+// Helper: Parse runAt. Local 'YYYY-MM-DDTHH:MM' is taken in the timezone.
+function parseRunAt(value, timeZone) {
+  const local = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(value || '');
+  const date = local
+    ? zonedTimeToUtc(...local.slice(1).map(Number), timeZone)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Helper: Validate a schedule definition. Returns { schedule } or { error }.
+function normalizeSchedule(body, existing = {}) {
+  const schedule = { ...existing, ...body };
+  const device = deviceRegistry.get(schedule.deviceId);
+  
+  if (!device) {
+    return { error: 'deviceId must be a registered device' };
+  }
+  if (!(device.deviceType || device.expectedType)) {
+    return { error: 'Device type is unknown - set its expectedType first' };
+  }
+  if (!SCHEDULE_ACTIONS.includes(schedule.action)) {
+    return { error: `action must be one of ${SCHEDULE_ACTIONS.join(', ')}` };
+  }
+  const channels = [...deviceDriver(device.deviceType || device.expectedType).channels, 'all'];
+  if (schedule.channel != null && !channels.includes(schedule.channel)) {
+    return { error: `channel must be one of ${channels.join(', ')}` };
+  }
+  if (!SCHEDULE_RECURRENCES.includes(schedule.recurrence)) {
+    return { error: `recurrence must be one of ${SCHEDULE_RECURRENCES.join(', ')}` };
+  }
+  
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    return { error: 'timezone must be an IANA time zone (e.g. Asia/Manila)' };
+  }
+  
+  if (schedule.recurrence === 'weekly') {
+    if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+        schedule.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'weekly schedules require days: [0-6] (0 = Sunday)' };
+    }
+    if (parseClock(schedule.time) === null) {
+      return { error: 'weekly schedules require time: HH:MM' };
+    }
+    if (schedule.endTime != null && (parseClock(schedule.endTime) === null || schedule.endTime === schedule.time)) {
+      return { error: 'endTime must be HH:MM and differ from time' };
+    }
+  }
+  
+  if (schedule.recurrence === 'cron' && !parseCron(schedule.cron)) {
+    return { error: "cron must be a 5-field expression (e.g. '0 22 * * 1-5')" };
+  }
+  
+  let runAt = null;
+  if (schedule.recurrence === 'once') {
+    runAt = parseRunAt(schedule.runAt, timezone);
+    if (!runAt) {
+      return { error: 'once schedules require runAt (ISO 8601)' };
+    }
+    // An unchanged runAt may have passed already (the schedule has run)
+    if (runAt <= new Date() && existing.runAt !== runAt.toISOString()) {
+      return { error: 'runAt must be in the future' };
+    }
+  }
+  
+  const now = new Date().toISOString();
+  const normalized = {
+    id: schedule.id || generateId('sched'),
+    name: schedule.name || null,
+    deviceId: schedule.deviceId,
+    channel: schedule.channel || null,
+    action: schedule.action,
+    recurrence: schedule.recurrence,
+    days: schedule.recurrence === 'weekly' ? Array.from(new Set(schedule.days)).sort() : null,
+    time: schedule.recurrence === 'weekly' ? schedule.time : null,
+    endTime: schedule.recurrence === 'weekly' ? schedule.endTime || null : null,
+    cron: schedule.recurrence === 'cron' ? String(schedule.cron).trim() : null,
+    runAt: runAt ? runAt.toISOString() : null,
+    timezone,
+    enabled: schedule.enabled !== false,
+    createdBy: schedule.createdBy || null,
+    createdAt: schedule.createdAt || now,
+    updatedAt: now,
+    // A changed one-shot time may run again
+    lastRunAt: schedule.recurrence === 'once' && existing.runAt !== (runAt && runAt.toISOString()) ? null : schedule.lastRunAt || null,
+    lastResult: schedule.lastResult || null,
+    nextRunAt: null,
+    nextAction: null
+  };
+  
+  planNextRun(normalized, new Date());
+  return { schedule: normalized };
+}
+
+// Helper: Store the next run of a schedule
+function planNextRun(schedule, after) {
+  const next = schedule.enabled ? nextScheduleRun(schedule, after) : null;
+  schedule.nextRunAt = next ? next.at.toISOString() : null;
+  schedule.nextAction = next ? next.action : null;
+}
+
+// Fire a schedule action through the normal command path
+function runSchedule(schedule, action, trigger = 'schedule') {
+  const device = deviceRegistry.get(schedule.deviceId);
+  const now = new Date().toISOString();
+  let result;
+  
+  if (!device) {
+    result = { action, status: 'skipped', error: 'Device no longer registered' };
+  } else {
+    const channel = schedule.channel === 'all' ? null : schedule.channel;
+    const command = relayCommand(device.deviceType || device.expectedType, action, channel);
+    const latched = action === 'on' ? getLatchedTrips(schedule.deviceId, channel) : [];
+    
+    if (latched.length > 0) {
+      result = { action, command, status: 'blocked', error: 'Relay is latched off by a protective trip' };
+    } else {
+      const entry = dispatchCommand(schedule.deviceId, command, 'schedule', {
+        user: schedule.createdBy,
+        expiresIn: SCHEDULE_COMMAND_TTL
+      });
+      result = { action, command, commandId: entry.commandId, status: entry.status };
+    }
+  }
+  
+  schedule.lastRunAt = now;
+  schedule.lastResult = { ...result, trigger, at: now };
+  console.log(`â° Schedule ${schedule.id} (${schedule.deviceId}): ${action} â†' ${result.status}`);
+  io.emit('scheduleRun', { scheduleId: schedule.id, deviceId: schedule.deviceId, ...schedule.lastResult });
+  
+  return schedule.lastResult;
+}
+
+// Run every due schedule. Runs older than the misfire grace are skipped.
+function checkSchedules() {
+  const now = new Date();
+  let changed = false;
+  
+  schedules.forEach(schedule => {
+    if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) return;
+    
+    const due = new Date(schedule.nextRunAt);
+    if (now - due <= SCHEDULE_MISFIRE_GRACE) {
+      runSchedule(schedule, schedule.nextAction);
+    } else {
+      console.log(`âš ï¸  Schedule ${schedule.id} missed its run at ${schedule.nextRunAt}`);
+      schedule.lastResult = { action: schedule.nextAction, status: 'missed', at: now.toISOString(), dueAt: schedule.nextRunAt };
+    }
+    
+    // At most one late run is caught up; recurring schedules continue from now
+    planNextRun(schedule, now);
+    if (schedule.recurrence === 'once') {
+      schedule.enabled = false;
+    }
+    changed = true;
+  });
+  
+  if (changed) {
+    saveSchedules();
+  }
+}
+
+loadSchedules();
+setInterval(checkSchedules, 5000);
+
+// ==================== FIRMWARE OTA ====================
+
+// Firmware images are uploaded per device type and version; binaries are kept
+// in data/firmware/<id>.bin and their metadata in firmware.json. A rollout
+// targets devices (by ID or tag) and sends each one an `ota` command:
+//   ota <download URL> <sha256> <version>
+// The download URL is signed for that device and expires with the command.
+// The device reports back on /ws (or MQTT topic <prefix>/<deviceId>/ota):
+//   { type: 'otaProgress', commandId?, progress: 0-100, message? }
+//   { type: 'otaResult', commandId?, success, version?, error? }
+// Registering with the new firmwareVersion also completes the update.
+// Target states: queued -> sent -> in-progress -> succeeded | failed
+// (or skipped / cancelled).
+const FIRMWARE_VERSION_PATTERN = /^\d+(\.\d+){0,3}(-[0-9A-Za-z.]+)?$/;
+const ESP32_IMAGE_MAGIC = 0xE9;
+const OTA_URL_TTL = 24 * 60 * 60; // Seconds; queued commands expire with the URL
+const OTA_TIMEOUT = 15 * 60 * 1000; // A target without progress this long fails
+const OTA_ACTIVE_STATES = ['queued', 'sent', 'in-progress'];
+const MAX_OTA_ROLLOUTS = 200;
+
+let firmwareImages = [];
+let otaRollouts = [];
+
+// Helper: Load firmware image metadata
+function loadFirmware() {
+  try {
+    firmwareImages = JSON.parse(fs.readFileSync(FIRMWARE_FILE, 'utf8')).images || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading firmware images:', error);
+    }
+    firmwareImages = [];
+  }
+}
+
+// Helper: Save firmware image metadata
+function saveFirmware() {
+  try {
+    fs.writeFileSync(FIRMWARE_FILE, JSON.stringify({ images: firmwareImages }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving firmware images:', error);
+    return false;
+  }
+}
+
+// Helper: Load OTA rollouts
+function loadOtaRollouts() {
+  try {
+    otaRollouts = JSON.parse(fs.readFileSync(OTA_ROLLOUTS_FILE, 'utf8')).rollouts || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading OTA rollouts:', error);
+    }
+    otaRollouts = [];
+  }
+}
+
+// Helper: Save OTA rollouts (finished ones beyond MAX_OTA_ROLLOUTS are dropped)
+function saveOtaRollouts() {
+  try {
+    if (otaRollouts.length > MAX_OTA_ROLLOUTS) {
+      const excess = otaRollouts.length - MAX_OTA_ROLLOUTS;
+      const finished = new Set(otaRollouts.filter(r => r.status !== 'active').slice(0, excess));
+      otaRollouts = otaRollouts.filter(r => !finished.has(r));
+    }
+    fs.writeFileSync(OTA_ROLLOUTS_FILE, JSON.stringify({ rollouts: otaRollouts }, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Error saving OTA rollouts:', error);
+    return false;
+  }
+}
+
+function firmwarePath(firmwareId) {
+  return path.join(FIRMWARE_DIR, `${firmwareId}.bin`);
+}
+
+// Validate an upload (query: deviceType, version, notes; body: the binary).
+// Returns { image } or { error, status? }.
+function normalizeFirmwareUpload(query, data) {
+  const deviceType = String(query.deviceType || '').toUpperCase();
+  const version = String(query.version || '').trim();
+  
+  if (!isDeviceType(deviceType)) {
+    return { error: `deviceType must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}` };
+  }
+  if (!FIRMWARE_VERSION_PATTERN.test(version)) {
+    return { error: "version must look like '1.4.2'" };
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return { error: 'Send the firmware binary as the request body (Content-Type: application/octet-stream)' };
+  }
+  if (data[0] !== ESP32_IMAGE_MAGIC) {
+    return { error: 'Not an ESP32 application image' };
+  }
+  if (firmwareImages.some(image => image.deviceType === deviceType && image.version === version)) {
+    return { status: 409, error: `${deviceType} firmware ${version} already exists` };
+  }
+  
+  return {
+    image: {
+      id: generateId('fw'),
+      deviceType,
+      version,
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      filename: query.filename ? String(query.filename) : `${deviceType.toLowerCase()}-${version}.bin`,
+      notes: query.notes ? String(query.notes) : null,
+      uploadedBy: null,
+      uploadedAt: new Date().toISOString()
+    }
+  };
+}
+
+// Helper: Signature binding a download to one image, device and expiry
+function signFirmwareDownload(firmwareId, deviceId, expires) {
+  return crypto.createHmac('sha256', authSecret).update(`ota:${firmwareId}:${deviceId}:${expires}`).digest('hex');
+}
+
+function firmwareDownloadUrl(baseUrl, image, deviceId, expires) {
+  const query = new URLSearchParams({ deviceId, expires, signature: signFirmwareDownload(image.id, deviceId, expires) });
+  return `${baseUrl}/api/firmware/${image.id}/download?${query}`;
+}
+
+// Helper: Active rollout target for a device ({ rollout, target }), optionally
+// the one for a specific command
+function findOtaTarget(deviceId, commandId) {
+  for (let i = otaRollouts.length - 1; i >= 0; i--) {
+    const rollout = otaRollouts[i];
+    const target = rollout.targets.find(t => t.deviceId === deviceId && OTA_ACTIVE_STATES.includes(t.status) &&
+      (!commandId || t.commandId === commandId));
+    if (target) return { rollout, target };
+  }
+  return null;
+}
+
+// Check a download request's signature and that the device is still being
+// updated to this image. Returns the target match or { status, error }.
+function verifyFirmwareDownload(firmwareId, { deviceId, expires, signature }) {
+  if (!deviceId || !expires || !signature) {
+    return { status: 401, error: 'Signed download URL required' };
+  }
+  
+  const expected = Buffer.from(signFirmwareDownload(firmwareId, deviceId, expires));
+  const candidate = Buffer.from(String(signature));
+  if (candidate.length !== expected.length || !crypto.timingSafeEqual(candidate, expected)) {
+    return { status: 401, error: 'Invalid download signature' };
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    return { status: 410, error: 'Download URL expired' };
+  }
+  
+  const match = findOtaTarget(deviceId);
+  if (!match || match.rollout.firmwareId !== firmwareId) {
+    return { status: 409, error: 'No update in progress for this device' };
+  }
+  return match;
+}
+
+// Update a rollout target, completing the rollout once no target is active
+function updateOtaTarget(rollout, target, changes) {
+  const now = new Date().toISOString();
+  Object.assign(target, changes, { updatedAt: now });
+  
+  if (!OTA_ACTIVE_STATES.includes(target.status)) {
+    target.completedAt = now;
+    if (target.status === 'succeeded') {
+      console.log(`✓ Firmware ${rollout.version} installed on ${target.deviceId}`);
+    } else {
+      console.log(`✗ Firmware ${rollout.version} update on ${target.deviceId} ${target.status}${target.error ? `: ${target.error}` : ''}`);
+    }
+    emitWebhookEvent('ota.completed', { rolloutId: rollout.id, firmwareId: rollout.firmwareId, version: rollout.version, ...target });
+  }
+  
+  if (rollout.status === 'active' && !rollout.targets.some(t => OTA_ACTIVE_STATES.includes(t.status))) {
+    rollout.status = 'completed';
+    rollout.completedAt = now;
+  }
+  
+  saveOtaRollouts();
+  io.emit('otaStatus', { rolloutId: rollout.id, firmwareId: rollout.firmwareId, version: rollout.version, ...target });
+  return target;
+}
+
+// Validate a rollout request: { firmwareId, deviceIds?, tags?, force? }.
+// Returns { image, devices, force } or { error }.
+function normalizeOtaRollout(body) {
+  const image = firmwareImages.find(i => i.id === body.firmwareId);
+  if (!image) {
+    return { error: 'firmwareId must be an uploaded firmware image' };
+  }
+  
+  const deviceIds = body.deviceIds || [];
+  const tags = body.tags || [];
+  if (!Array.isArray(deviceIds) || !Array.isArray(tags) ||
+      [...deviceIds, ...tags].some(value => typeof value !== 'string')) {
+    return { error: 'deviceIds and tags must be arrays of strings' };
+  }
+  if (deviceIds.length === 0 && tags.length === 0) {
+    return { error: 'deviceIds or tags required' };
+  }
+  
+  const unknown = deviceIds.filter(id => !deviceRegistry.has(id));
+  if (unknown.length > 0) {
+    return { error: `Unknown device(s): ${unknown.join(', ')}` };
+  }
+  
+  const selected = new Set(deviceIds);
+  deviceRegistry.forEach((device, deviceId) => {
+    if ((device.tags || []).some(tag => tags.includes(tag))) {
+      selected.add(deviceId);
+    }
+  });
+  if (selected.size === 0) {
+    return { error: 'No devices have the given tags' };
+  }
+  
+  return { image, devices: Array.from(selected).map(id => deviceRegistry.get(id)), force: body.force === true };
+}
+
+// Helper: Why a device is left out of a rollout, or null
+function otaSkipReason(device, image, force) {
+  const deviceType = device.deviceType || device.expectedType;
+  if (deviceType !== image.deviceType) {
+    return `Device type ${deviceType || 'unknown'} does not match ${image.deviceType} firmware`;
+  }
+  
+  const active = findOtaTarget(device.deviceId);
+  if (active) {
+    return `Update to ${active.rollout.version} already in progress (${active.rollout.id})`;
+  }
+  
+  if (!force && device.firmwareVersion && compareVersions(device.firmwareVersion, image.version) >= 0) {
+    return device.firmwareVersion === image.version
+      ? 'Already running this version'
+      : `Running newer firmware ${device.firmwareVersion} (use force to downgrade)`;
+  }
+  return null;
+}
+
+// Create a rollout and send the ota command to every eligible device
+function startOtaRollout({ image, devices, force }, { baseUrl, user }) {
+  const now = new Date().toISOString();
+  const rollout = {
+    id: generateId('ota'),
+    firmwareId: image.id,
+    deviceType: image.deviceType,
+    version: image.version,
+    sha256: image.sha256,
+    force,
+    status: 'active',
+    targets: [],
+    createdBy: user,
+    createdAt: now,
+    completedAt: null,
+    cancelledBy: null
+  };
+  
+  const eligible = [];
+  devices.forEach(device => {
+    const reason = otaSkipReason(device, image, force);
+    const target = {
+      deviceId: device.deviceId,
+      status: reason ? 'skipped' : 'queued',
+      previousVersion: device.firmwareVersion || null,
+      reportedVersion: null,
+      commandId: null,
+      progress: 0,
+      message: reason,
+      error: null,
+      updatedAt: now,
+      completedAt: reason ? now : null
+    };
+    rollout.targets.push(target);
+    if (!reason) eligible.push(target);
+  });
+  
+  if (eligible.length === 0) {
+    rollout.status = 'completed';
+    rollout.completedAt = now;
+  }
+  otaRollouts.push(rollout);
+  
+  const expires = Math.floor(Date.now() / 1000) + OTA_URL_TTL;
+  eligible.forEach(target => {
+    const url = firmwareDownloadUrl(baseUrl, image, target.deviceId, expires);
+    const entry = dispatchCommand(target.deviceId, `ota ${url} ${image.sha256} ${image.version}`, 'ota', {
+      user,
+      expiresIn: OTA_URL_TTL
+    });
+    target.commandId = entry.commandId;
+    target.status = entry.status === 'sent' ? 'sent' : 'queued';
+  });
+  
+  saveOtaRollouts();
+  console.log(`â†' OTA rollout ${rollout.id}: ${image.deviceType} ${image.version} to ${eligible.length} device(s)`);
+  io.emit('otaRollout', describeOtaRollout(rollout));
+  return rollout;
+}
+
+function describeOtaRollout(rollout) {
+  const summary = {};
+  rollout.targets.forEach(target => {
+    summary[target.status] = (summary[target.status] || 0) + 1;
+  });
+  return { ...rollout, summary };
+}
+
+// Cancel a rollout: queued commands are withdrawn; devices that already
+// received the command may still finish flashing
+function cancelOtaRollout(rollout, user) {
+  rollout.status = 'cancelled';
+  rollout.cancelledBy = user;
+  rollout.completedAt = new Date().toISOString();
+  
+  rollout.targets
+    .filter(target => OTA_ACTIVE_STATES.includes(target.status))
+    .forEach(target => {
+      const entry = target.commandId ? getCommand(target.commandId) : null;
+      if (entry && entry.status === 'queued') {
+        cancelQueuedCommand(entry, user);
+      }
+      updateOtaTarget(rollout, target, { status: 'cancelled', error: `Cancelled by ${user || 'unknown'}` });
+    });
+  
+  saveOtaRollouts();
+  return rollout;
+}
+
+// Apply an otaProgress / otaResult message from a device
+function handleOtaMessage(deviceId, data) {
+  const match = findOtaTarget(deviceId, data.commandId);
+  if (!match) {
+    console.log(`âš ï¸  Unmatched ${data.type || 'OTA message'} from ${deviceId}`);
+    return null;
+  }
+  const { rollout, target } = match;
+  
+  if (data.type === 'otaProgress') {
+    const progress = Math.max(0, Math.min(100, Math.round(Number(data.progress) || 0)));
+    return updateOtaTarget(rollout, target, { status: 'in-progress', progress, message: data.message || target.message });
+  }
+  
+  if (data.success === false) {
+    return updateOtaTarget(rollout, target, { status: 'failed', error: data.error || 'Device reported failure' });
+  }
+  return updateOtaTarget(rollout, target, {
+    status: 'succeeded',
+    progress: 100,
+    reportedVersion: data.version || null,
+    message: data.message || target.message
+  });
+}
+
+// Record the firmware version a device reports on register (with its
+// declared type, for devices not seen before); reaching a rollout's version
+// completes its update
+function recordFirmwareVersion(deviceId, version, deviceType) {
+  if (!version) return;
+  version = String(version);
+  
+  let device = deviceRegistry.get(deviceId);
+  if (!device) {
+    device = createDeviceEntry(deviceId, { deviceType: deviceType || null });
+    deviceRegistry.set(deviceId, device);
+  }
+  
+  const previous = device.firmwareVersion || null;
+  device.firmwareVersion = version;
+  device.firmwareReportedAt = new Date().toISOString();
+  
+  if (previous !== version) {
+    saveDeviceRegistry();
+    if (previous) {
+      console.log(`✓ ${deviceId} firmware ${previous} -> ${version}`);
+    }
+    io.emit('deviceFirmware', { deviceId, version, previousVersion: previous });
+  } else {
+    deviceRegistryDirty = true;
+  }
+  
+  const match = findOtaTarget(deviceId);
+  if (match && match.rollout.version === version) {
+    updateOtaTarget(match.rollout, match.target, { status: 'succeeded', progress: 100, reportedVersion: version });
+  }
+}
+
+// Follow command delivery for active targets and fail stalled ones
+function syncOtaTargets() {
+  const now = Date.now();
+  
+  otaRollouts
+    .filter(rollout => rollout.status === 'active')
+    .forEach(rollout => {
+      rollout.targets
+        .filter(target => OTA_ACTIVE_STATES.includes(target.status))
+        .forEach(target => {
+          const entry = target.commandId ? getCommand(target.commandId) : null;
+          
+          if (!entry || ['failed', 'expired', 'cancelled'].includes(entry.status) ||
+              (entry.status === 'timed-out' && target.status !== 'in-progress')) {
+            updateOtaTarget(rollout, target, { status: 'failed', error: entry?.error || 'Command lost' });
+          } else if (target.status === 'queued' && ['sent', 'acked'].includes(entry.status)) {
+            updateOtaTarget(rollout, target, { status: 'sent' });
+          } else if (target.status !== 'queued' && now - new Date(target.updatedAt).getTime() > OTA_TIMEOUT) {
+            updateOtaTarget(rollout, target, { status: 'failed', error: `No progress reported for ${OTA_TIMEOUT / 60000} minutes` });
+          }
+        });
+    });
+}
+
+loadFirmware();
+loadOtaRollouts();
+
+setInterval(syncOtaTargets, 10000);
+
+// ==================== MOCK DATA GENERATOR ====================
+
+// Generate realistic mock sensor data (for Vaulter - single channel)
+function generateMockDataVaulter() {
+  const baseVoltage = 220 + (Math.random() - 0.5) * 10;
+  const baseCurrent = 0.5 + Math.random() * 2;
+  const powerFactor = 0.95;
+  
+  return {
+    deviceType: 'VAULTER',
+    voltage: parseFloat(baseVoltage.toFixed(1)),
+    current: parseFloat(baseCurrent.toFixed(3)),
+    power: parseFloat((baseVoltage * baseCurrent * powerFactor).toFixed(1)),
+    energy: parseFloat((Math.random() * 100).toFixed(3)),
+    ssrState: Math.random() > 0.1,
+    state: 'MONITOR',
+    sensors: 'valid'
+  };
+}
+
+// Generate realistic mock sensor data (for CirquitIQ - dual channel)
+function generateMockDataCirquitIQ() {
+  const baseVoltage = 220 + (Math.random() - 0.5) * 10;
+  const ch1Current = 0.5 + Math.random() * 2;
+  const ch2Current = 0.5 + Math.random() * 2;
+  const powerFactor = 0.95;
+  
+  return {
+    deviceType: 'CIRQUITIQ',
+    voltage: parseFloat(baseVoltage.toFixed(1)),
+    state: 'MONITOR',
+    sensors: 'valid',
+    channel1: {
+      current: parseFloat(ch1Current.toFixed(3)),
+      power: parseFloat((baseVoltage * ch1Current * powerFactor).toFixed(1)),
+      energy: parseFloat((Math.random() * 100).toFixed(3)),
+      cost: parseFloat((Math.random() * 10).toFixed(2)),
+      relayState: Math.random() > 0.1
+    },
+    channel2: {
+      current: parseFloat(ch2Current.toFixed(3)),
+      power: parseFloat((baseVoltage * ch2Current * powerFactor).toFixed(1)),
+      energy: parseFloat((Math.random() * 100).toFixed(3)),
+      cost: parseFloat((Math.random() * 10).toFixed(2)),
+      relayState: Math.random() > 0.1
+    },
+    totalPower: parseFloat(((baseVoltage * ch1Current * powerFactor) + (baseVoltage * ch2Current * powerFactor)).toFixed(1)),
+    totalEnergy: parseFloat((Math.random() * 200).toFixed(3)),
+    totalCost: parseFloat((Math.random() * 20).toFixed(2))
+  };
+}
+
+const MAX_MOCK_READINGS = 100; // Per request
+
+// POST endpoint to generate mock data (for testing without ESP32). Mock
+// readings bypass device keys, so only admins may create them.
+app.post('/api/mock/data/:deviceId', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  const deviceType = String(req.query.type || DEFAULT_DEVICE_TYPE).toUpperCase();
+  
+  if (!isDeviceType(deviceType)) {
+    return res.status(400).json({ error: `type must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}` });
+  }
+  const count = Math.min(Math.max(parseInt(req.query.count) || 1, 1), MAX_MOCK_READINGS);
+  
+  // Mock data must not impersonate a real device
+  const existing = deviceRegistry.get(deviceId);
+  if (existing && (!existing.isMock || existing.keyHash)) {
+    return res.status(409).json({ error: 'Device ID belongs to a real device' });
+  }
+  
+  const readings = [];
+  
+  for (let i = 0; i < count; i++) {
+    const mockData = DEVICE_DRIVERS[deviceType].mockReading();
+    const { entry } = ingestReading({ deviceId, ...mockData }, { ip: 'mock', isMock: true });
+    
+    readings.push(entry);
+  }
+  
+  res.json({
+    success: true,
+    message: `Generated ${count} mock reading(s) for ${deviceType}`,
+    readings: readings
+  });
+});
+
+// ==================== SIMULATOR ====================
+
+// Stateful virtual devices that connect to this server's /ws like real
+// firmware, so commands, acks, config sync, alerts and trips can be exercised
+// without hardware. A simulated device keeps per-channel energy counters that
+// only grow, draws power following a daily load profile (in its timezone),
+// switches its load with relay commands, installs firmware from `ota`
+// commands and answers every command with a commandAck. Faults are scripted
+// as steps { fault, delay, duration, ...params } (seconds; duration null =
+// until cleared):
+//   overvoltage / undervoltage  supply at `voltage` (default 265 / 190 V)
+//   overload                    load x `factor` (default 3) on `channel` or all
+//   sensor_failure              sensors report 'error' and measure nothing
+//   disconnect                  the connection drops until the fault ends
+// Simulated devices persist in SIMULATOR_FILE and reconnect when the server
+// starts. Their device keys are only held in memory and re-issued on start.
+const SIM_MAX_DEVICES = 100;
+const SIM_POWER_FACTOR = 0.95;
+const SIM_COST_PER_KWH = 0.15;
+const SIM_RECONNECT_DELAY = 5000;
+const SIM_REBOOT_TIME = 3000;
+const SIM_FIRMWARE_VERSION = '1.0.0';
+const SIM_FAULTS = {
+  overvoltage: { voltage: 265 },
+  undervoltage: { voltage: 190 },
+  overload: { factor: 3, channel: null },
+  sensor_failure: {},
+  disconnect: {}
+};
+// Hourly load as a fraction of each channel's base load
+const SIM_PROFILES = {
+  residential: {
+    weekday: [0.3, 0.25, 0.2, 0.2, 0.2, 0.3, 0.6, 0.8, 0.6, 0.4, 0.35, 0.35, 0.4, 0.35, 0.35, 0.4, 0.5, 0.7, 0.9, 1, 0.95, 0.8, 0.6, 0.4],
+    weekend: [0.35, 0.3, 0.25, 0.2, 0.2, 0.25, 0.3, 0.5, 0.7, 0.8, 0.7, 0.6, 0.65, 0.6, 0.55, 0.55, 0.6, 0.75, 0.9, 1, 0.95, 0.85, 0.65, 0.45]
+  },
+  office: {
+    weekday: [0.1, 0.1, 0.1, 0.1, 0.1, 0.1, 0.15, 0.4, 0.9, 1, 1, 1, 0.8, 1, 1, 1, 0.9, 0.6, 0.3, 0.15, 0.1, 0.1, 0.1, 0.1],
+    weekend: Array(24).fill(0.1)
+  },
+  constant: {
+    weekday: Array(24).fill(1),
+    weekend: Array(24).fill(1)
+  }
+};
+
+const simulatedDevices = new Map(); // deviceId -> persisted simulated device
+const simulatorRuntime = new Map(); // deviceId -> { key, ws, timer, registered, lastTickAt, ... }
+let simulatorDirty = false;
+
+// Helper: Load simulated devices (started once the server listens)
+function loadSimulator() {
+  try {
+    const data = JSON.parse(fs.readFileSync(SIMULATOR_FILE, 'utf8'));
+    // Files from older versions stored the plaintext key; it is re-issued anyway
+    (data.devices || []).forEach(({ key, ...sim }) => simulatedDevices.set(sim.deviceId, sim));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading simulator:', error);
+    }
+  }
+}
+
+// Helper: Save simulated devices
+function saveSimulator() {
+  try {
+    fs.writeFileSync(SIMULATOR_FILE, JSON.stringify({ devices: Array.from(simulatedDevices.values()) }, null, 2));
+    simulatorDirty = false;
+    return true;
+  } catch (error) {
+    console.error('Error saving simulator:', error);
+    return false;
+  }
+}
+
+// Helper: Validate a request to start simulated devices. Returns { options } or { error }.
+function normalizeSimulatorRequest(body) {
+  const deviceType = String(body.deviceType || DEFAULT_DEVICE_TYPE).toUpperCase();
+  const options = {
+    count: body.count !== undefined ? body.count : 1,
+    deviceType,
+    prefix: body.prefix !== undefined ? body.prefix : `SIM_${deviceType}`,
+    profile: body.profile || 'residential',
+    interval: body.interval !== undefined ? body.interval : 5,
+    baseLoad: body.baseLoad !== undefined ? body.baseLoad : 500,
+    nominalVoltage: body.nominalVoltage !== undefined ? body.nominalVoltage : 230,
+    timezone: body.timezone || DEFAULT_TIMEZONE
+  };
+  
+  const available = SIM_MAX_DEVICES - simulatedDevices.size;
+  if (!Number.isInteger(options.count) || options.count < 1 || options.count > available) {
+    return { error: `count must be an integer between 1 and ${available} (at most ${SIM_MAX_DEVICES} simulated devices)` };
+  }
+  if (!isDeviceType(deviceType)) {
+    return { error: `deviceType must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}` };
+  }
+  if (typeof options.prefix !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(options.prefix)) {
+    return { error: 'prefix must be 1-32 letters, digits, _ or -' };
+  }
+  if (!SIM_PROFILES[options.profile]) {
+    return { error: `profile must be one of ${Object.keys(SIM_PROFILES).join(', ')}` };
+  }
+  if (typeof options.interval !== 'number' || options.interval < 1 || options.interval > 3600) {
+    return { error: 'interval must be a number of seconds between 1 and 3600' };
+  }
+  if (typeof options.baseLoad !== 'number' || options.baseLoad <= 0 || options.baseLoad > 20000) {
+    return { error: 'baseLoad must be a number of watts per channel (0-20000)' };
+  }
+  if (typeof options.nominalVoltage !== 'number' || options.nominalVoltage <= 0 || options.nominalVoltage > 500) {
+    return { error: 'nominalVoltage must be a number between 0 and 500' };
+  }
+  if (!isValidTimeZone(options.timezone)) {
+    return { error: 'timezone must be a valid IANA time zone' };
+  }
+  
+  return { options };
+}
+
+// Helper: Validate fault steps (body.steps, or the body as one step).
+// Returns { faults } or { error }.
+function normalizeSimulatorFaults(sim, body, user) {
+  const steps = Array.isArray(body.steps) ? body.steps : [body];
+  const driver = deviceDriver(sim.deviceType);
+  const now = Date.now();
+  const faults = [];
+  
+  if (steps.length === 0) {
+    return { error: 'steps must not be empty' };
+  }
+  
+  for (const step of steps) {
+    const defaults = SIM_FAULTS[step.fault];
+    if (!defaults) {
+      return { error: `fault must be one of ${Object.keys(SIM_FAULTS).join(', ')}` };
+    }
+    const delay = step.delay !== undefined ? step.delay : 0;
+    const duration = step.duration !== undefined ? step.duration : 60;
+    if (typeof delay !== 'number' || delay < 0) {
+      return { error: 'delay must be a number of seconds >= 0' };
+    }
+    if (duration !== null && (typeof duration !== 'number' || duration <= 0)) {
+      return { error: 'duration must be a number of seconds > 0, or null' };
+    }
+    
+    const params = { ...defaults };
+    Object.keys(defaults).forEach(param => {
+      if (step[param] !== undefined) params[param] = step[param];
+    });
+    if (params.voltage !== undefined && !(typeof params.voltage === 'number' && params.voltage >= 0)) {
+      return { error: 'voltage must be a number >= 0' };
+    }
+    if (params.factor !== undefined && !(typeof params.factor === 'number' && params.factor > 0)) {
+      return { error: 'factor must be a number > 0' };
+    }
+    if (params.channel != null) {
+      const channel = driverChannel(driver, params.channel);
+      if (channel === undefined) {
+        return { error: `channel must be one of ${driver.channels.join(', ')}` };
+      }
+      params.channel = channel;
+    }
+    
+    const startsAt = now + delay * 1000;
+    faults.push({
+      id: generateId('fault'),
+      fault: step.fault,
+      params,
+      startsAt: new Date(startsAt).toISOString(),
+      endsAt: duration === null ? null : new Date(startsAt + duration * 1000).toISOString(),
+      createdBy: user
+    });
+  }
+  
+  return { faults };
+}
+
+// Helper: Load factor of a profile at a moment, interpolated between hours
+function simulatedLoadFactor(sim, at) {
+  const { hour, minute, weekday } = zonedParts(at, sim.timezone);
+  const profile = SIM_PROFILES[sim.profile] || SIM_PROFILES.constant;
+  const hours = weekday === 0 || weekday === 6 ? profile.weekend : profile.weekday;
+  return hours[hour] + (hours[(hour + 1) % 24] - hours[hour]) * (minute / 60);
+}
+
+function activeSimulatorFaults(sim, now) {
+  return sim.faults.filter(fault => new Date(fault.startsAt).getTime() <= now &&
+    (!fault.endsAt || now < new Date(fault.endsAt).getTime()));
+}
+
+// Helper: Advance a simulated device to `now`: accrue energy at the current
+// load and return what its sensors measure
+function advanceSimulatedDevice(sim, now) {
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const hours = runtime.lastTickAt ? Math.max(0, now - runtime.lastTickAt) / 3600000 : 0;
+  runtime.lastTickAt = now;
+  
+  const driver = deviceDriver(sim.deviceType);
+  const faults = activeSimulatorFaults(sim, now);
+  const find = (name) => faults.find(fault => fault.fault === name);
+  const supply = find('overvoltage') || find('undervoltage');
+  const sensorFailure = Boolean(find('sensor_failure'));
+  const overload = find('overload');
+  const load = simulatedLoadFactor(sim, new Date(now));
+  
+  // Mains drifts slowly (+/- 2 V over six hours) with a little noise
+  const voltage = supply
+    ? supply.params.voltage + (Math.random() - 0.5)
+    : sim.nominalVoltage + 2 * Math.sin((now / 3600000) * (Math.PI / 3)) + (Math.random() - 0.5);
+  const voltageCal = sim.config.voltage_cal || 1;
+  
+  const channels = sim.channels.map((channel, i) => {
+    let power = channel.relay ? channel.baseLoad * load * (0.95 + Math.random() * 0.1) : 0;
+    if (overload && (!overload.params.channel || overload.params.channel === driver.channels[i])) {
+      power *= overload.params.factor;
+    }
+    
+    // A failed sensor measures nothing, so the counter stops too
+    if (sensorFailure) {
+      power = 0;
+    }
+    channel.energy += (power / 1000) * hours;
+    
+    // Readings are scaled by the calibration factors the device was sent
+    const current = voltage > 0 ? power / (voltage * SIM_POWER_FACTOR) : 0;
+    const currentCal = sim.config[driver.calibrationParameter(driver.channels[i] || null)] || 1;
+    return {
+      current: parseFloat((current * currentCal).toFixed(3)),
+      power: parseFloat((power * voltageCal * currentCal).toFixed(1)),
+      energy: roundKwh(channel.energy),
+      cost: roundMoney(channel.energy * SIM_COST_PER_KWH),
+      relay: channel.relay
+    };
+  });
+  simulatorDirty = true;
+  
+  return {
+    voltage: sensorFailure ? 0 : parseFloat((voltage * voltageCal).toFixed(1)),
+    state: sensorFailure ? 'FAULT' : 'MONITOR',
+    sensors: sensorFailure ? 'error' : 'valid',
+    channels,
+    faults
+  };
+}
+
+function sendToSimulator(sim, message) {
+  const ws = simulatorRuntime.get(sim.deviceId)?.ws;
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+// Helper: Measure and report one reading (if connected)
+function sendSimulatedReading(sim) {
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const state = advanceSimulatedDevice(sim, Date.now());
+  if (!runtime.registered) return;
+  
+  const reading = deviceDriver(sim.deviceType).simulatedReading(state);
+  if (sendToSimulator(sim, { type: 'reading', ...reading })) {
+    runtime.lastReading = { ...reading, timestamp: new Date().toISOString() };
+  }
+}
+
+function connectSimulatedDevice(sim) {
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const ws = new WebSocket(`ws://127.0.0.1:${PORT}/ws`);
+  runtime.ws = ws;
+  runtime.registered = false;
+  
+  ws.on('open', () => {
+    ws.send(JSON.stringify({
+      type: 'register',
+      deviceId: sim.deviceId,
+      deviceType: sim.deviceType,
+      key: runtime.key,
+      firmwareVersion: sim.firmwareVersion || SIM_FIRMWARE_VERSION,
+      config: sim.config
+    }));
+  });
+  
+  ws.on('message', (message) => {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (error) {
+      return;
+    }
+    
+    if (data.type === 'registered') {
+      runtime.registered = true;
+      runtime.connectedAt = new Date().toISOString();
+      sendSimulatedReading(sim);
+    } else if (data.type === 'error') {
+      console.log(`✗ Simulated device ${sim.deviceId}: ${data.error}`);
+    } else if (data.command && !data.type) {
+      runSimulatedCommand(sim, data);
+    }
+  });
+  
+  ws.on('close', () => {
+    if (runtime.ws !== ws) return;
+    runtime.ws = null;
+    runtime.registered = false;
+    runtime.nextConnectAt = Date.now() + SIM_RECONNECT_DELAY;
+  });
+  
+  ws.on('error', (error) => {
+    console.error(`✗ Simulated device ${sim.deviceId} connection error: ${error.message}`);
+  });
+}
+
+// Helper: One simulation step: end finished faults, follow the connection
+// state the scenario asks for, and report a reading
+function tickSimulatedDevice(sim) {
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const now = Date.now();
+  
+  const remaining = sim.faults.filter(fault => !fault.endsAt || new Date(fault.endsAt).getTime() > now);
+  if (remaining.length !== sim.faults.length) {
+    sim.faults = remaining;
+    io.emit('simulatorFaults', { deviceId: sim.deviceId, faults: sim.faults });
+  }
+  
+  const offline = runtime.rebootUntil > now || activeSimulatorFaults(sim, now).some(f => f.fault === 'disconnect');
+  if (offline) {
+    if (runtime.ws) {
+      const ws = runtime.ws;
+      runtime.ws = null;
+      runtime.registered = false;
+      ws.terminate();
+    }
+    advanceSimulatedDevice(sim, now);
+    return;
+  }
+  
+  if (!runtime.ws) {
+    if (now >= (runtime.nextConnectAt || 0)) connectSimulatedDevice(sim);
+    advanceSimulatedDevice(sim, now);
+    return;
+  }
+  
+  sendSimulatedReading(sim);
+}
+
+// Helper: Download and "flash" firmware like a device would: verify the
+// checksum, report progress, then restart on the new version
+function installSimulatedFirmware(sim, commandId, url, sha256, version) {
+  const report = (message) => sendToSimulator(sim, { commandId, ...message, timestamp: new Date().toISOString() });
+  const fail = (error) => report({ type: 'otaResult', success: false, error });
+  
+  (url.startsWith('https:') ? https : http).get(url, (response) => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      fail(`Download failed (HTTP ${response.statusCode})`);
+      return;
+    }
+    
+    const hash = crypto.createHash('sha256');
+    response.on('data', chunk => hash.update(chunk));
+    response.on('end', () => {
+      if (hash.digest('hex') !== sha256) {
+        fail('Checksum mismatch');
+        return;
+      }
+      report({ type: 'otaProgress', progress: 100, message: 'Image verified, restarting' });
+      
+      sim.firmwareVersion = version;
+      saveSimulator();
+      const runtime = simulatorRuntime.get(sim.deviceId);
+      runtime.rebootUntil = Date.now() + SIM_REBOOT_TIME;
+      runtime.ws?.close();
+    });
+  }).on('error', error => fail(error.message));
+}
+
+// Helper: Handle a command the server sent to a simulated device
+function runSimulatedCommand(sim, { commandId, command }) {
+  const driver = deviceDriver(sim.deviceType);
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const ack = (success, message) => sendToSimulator(sim, {
+    type: 'commandAck',
+    commandId,
+    command,
+    success,
+    message,
+    timestamp: new Date().toISOString()
+  });
+  
+  const relay = driver.parseRelayCommand(command);
+  if (relay) {
+    sim.channels.forEach((channel, i) => {
+      if (!relay.channel || driver.channels[i] === relay.channel) {
+        channel.relay = relay.action === 'on';
+      }
+    });
+    saveSimulator();
+    ack(true, `Relay ${relay.action.toUpperCase()}${relay.channel ? ` (${relay.channel})` : ''}`);
+    sendSimulatedReading(sim);
+    return;
+  }
+  
+  const [name, value, ...extra] = String(command).trim().split(/\s+/);
+  
+  if (CONFIG_PARAMETERS[name] && value !== undefined) {
+    const number = Number(value);
+    if (!isFinite(number) || extra.length > 0) {
+      ack(false, `Invalid value for ${name}`);
+      return;
+    }
+    sim.config[name] = number;
+    saveSimulator();
+    ack(true, `${name} set to ${number}`);
+    sendToSimulator(sim, { type: 'config', config: sim.config });
+  } else if (RESULT_COMMANDS.includes(name)) {
+    ack(true, 'OK');
+    const state = runtime.lastReading || null;
+    sendToSimulator(sim, {
+      type: 'commandResult',
+      commandId,
+      command,
+      result: {
+        simulated: true,
+        profile: sim.profile,
+        connectedAt: runtime.connectedAt,
+        relays: sim.channels.map(channel => channel.relay),
+        faults: activeSimulatorFaults(sim, Date.now()).map(fault => fault.fault),
+        config: sim.config,
+        lastReading: state
+      }
+    });
+  } else if (name === 'ota') {
+    if (!value || extra.length !== 2) {
+      ack(false, 'Usage: ota <url> <sha256> <version>');
+      return;
+    }
+    ack(true, `Updating to ${extra[1]}`);
+    installSimulatedFirmware(sim, commandId, value, ...extra);
+  } else if (name === 'clear') {
+    sim.channels.forEach(channel => { channel.energy = 0; });
+    saveSimulator();
+    ack(true, 'Statistics cleared');
+  } else if (name === 'reset' || name === 'restart') {
+    ack(true, 'Restarting');
+    runtime.rebootUntil = Date.now() + SIM_REBOOT_TIME;
+    runtime.ws?.close();
+  } else if ([...driver.commands, ...COMMON_DEVICE_COMMANDS].some(c => c.name === command || c.name === name)) {
+    ack(true, 'Accepted by simulator');
+  } else {
+    ack(false, 'Unknown command');
+  }
+}
+
+function startSimulatedDevice(sim, key) {
+  simulatorRuntime.set(sim.deviceId, {
+    key,
+    ws: null,
+    registered: false,
+    connectedAt: null,
+    lastTickAt: Date.now(),
+    lastReading: null,
+    nextConnectAt: 0,
+    rebootUntil: 0,
+    timer: setInterval(() => tickSimulatedDevice(sim), sim.interval * 1000)
+  });
+  connectSimulatedDevice(sim);
+}
+
+function stopSimulatedDevice(deviceId) {
+  const runtime = simulatorRuntime.get(deviceId);
+  if (!runtime) return;
+  
+  clearInterval(runtime.timer);
+  simulatorRuntime.delete(deviceId);
+  if (runtime.ws) {
+    runtime.ws.close();
+  }
+}
+
+// Create and start one simulated device, registering it with its own key
+function createSimulatedDevice(options, deviceId, user) {
+  const driver = DEVICE_DRIVERS[options.deviceType];
+  let device = deviceRegistry.get(deviceId);
+  if (!device) {
+    device = createDeviceEntry(deviceId, {
+      name: `Simulated ${driver.label}`,
+      tags: ['simulated'],
+      expectedType: driver.type,
+      isMock: true
+    });
+    deviceRegistry.set(deviceId, device);
+  }
+  const key = issueDeviceKey(device);
+  
+  // Channels get different loads so they are told apart on charts
+  const sim = {
+    deviceId,
+    deviceType: driver.type,
+    profile: options.profile,
+    interval: options.interval,
+    nominalVoltage: options.nominalVoltage,
+    timezone: options.timezone,
+    channels: Array.from({ length: Math.max(1, driver.channels.length) }, () => ({
+      baseLoad: Math.round(options.baseLoad * (0.6 + Math.random() * 0.8)),
+      energy: 0,
+      relay: true
+    })),
+    config: {},
+    faults: [],
+    firmwareVersion: SIM_FIRMWARE_VERSION,
+    createdBy: user,
+    createdAt: new Date().toISOString()
+  };
+  
+  simulatedDevices.set(deviceId, sim);
+  startSimulatedDevice(sim, key);
+  return sim;
+}
+
+// Helper: Public view of a simulated device
+function describeSimulatedDevice(sim) {
+  const runtime = simulatorRuntime.get(sim.deviceId);
+  const active = activeSimulatorFaults(sim, Date.now());
+  return {
+    ...sim,
+    faults: sim.faults.map(fault => ({ ...fault, active: active.includes(fault) })),
+    connected: Boolean(runtime?.registered),
+    connectedAt: runtime?.connectedAt || null,
+    lastReading: runtime?.lastReading || null
+  };
+}
+
+// Start every persisted simulated device (called once the server listens),
+// issuing each a fresh key since keys are not persisted
+function resumeSimulator() {
+  simulatedDevices.forEach(sim => {
+    const device = deviceRegistry.get(sim.deviceId);
+    startSimulatedDevice(sim, device ? issueDeviceKey(device) : null);
+  });
+}
+
+function stopSimulator() {
+  Array.from(simulatorRuntime.keys()).forEach(stopSimulatedDevice);
+  saveSimulator();
+}
+
+loadSimulator();
+setInterval(() => {
+  if (simulatorDirty) {
+    saveSimulator();
+  }
+}, 30000);
+
+// Overview of the simulator: profiles, faults and simulated devices
+app.get('/api/mock/simulator', requireRole('viewer'), (req, res) => {
+  res.json({
+    total: simulatedDevices.size,
+    maxDevices: SIM_MAX_DEVICES,
+    profiles: Object.keys(SIM_PROFILES),
+    faults: SIM_FAULTS,
+    devices: Array.from(simulatedDevices.values()).map(describeSimulatedDevice)
+  });
+});
+
+// Start N simulated devices
+// Body: { count, deviceType, prefix, profile, interval, baseLoad, nominalVoltage, timezone }
+app.post('/api/mock/simulator/devices', requireRole('admin'), (req, res) => {
+  const { options, error } = normalizeSimulatorRequest(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const started = [];
+  for (let n = 1; started.length < options.count; n++) {
+    const deviceId = `${options.prefix}_${n}`;
+    if (deviceRegistry.has(deviceId) || simulatedDevices.has(deviceId)) continue;
+    started.push(createSimulatedDevice(options, deviceId, req.user.username));
+  }
+  saveSimulator();
+  
+  console.log(`âœ" Started ${started.length} simulated ${options.deviceType} device(s) (${options.profile})`);
+  res.status(201).json({ devices: started.map(describeSimulatedDevice) });
+});
+
+app.get('/api/mock/simulator/devices/:deviceId', requireRole('viewer'), (req, res) => {
+  const sim = simulatedDevices.get(req.params.deviceId);
+  
+  if (!sim) {
+    return res.status(404).json({ error: 'Simulated device not found' });
+  }
+  
+  res.json(describeSimulatedDevice(sim));
+});
+
+// Stop and remove all simulated devices (their registry entries and data stay)
+app.delete('/api/mock/simulator/devices', requireRole('admin'), (req, res) => {
+  const removed = Array.from(simulatedDevices.keys());
+  removed.forEach(stopSimulatedDevice);
+  simulatedDevices.clear();
+  saveSimulator();
+  
+  res.json({ success: true, removed });
+});
+
+// Stop and remove one simulated device
+app.delete('/api/mock/simulator/devices/:deviceId', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  
+  if (!simulatedDevices.has(deviceId)) {
+    return res.status(404).json({ error: 'Simulated device not found' });
+  }
+  
+  stopSimulatedDevice(deviceId);
+  simulatedDevices.delete(deviceId);
+  saveSimulator();
+  
+  res.json({ success: true, deviceId });
+});
+
+// Script faults on a simulated device
+// Body: { fault, delay, duration, ...params } or { steps: [...] }
+app.post('/api/mock/simulator/devices/:deviceId/faults', requireRole('operator'), (req, res) => {
+  const sim = simulatedDevices.get(req.params.deviceId);
+  
+  if (!sim) {
+    return res.status(404).json({ error: 'Simulated device not found' });
+  }
+  
+  const { faults, error } = normalizeSimulatorFaults(sim, req.body || {}, req.user.username);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  sim.faults.push(...faults);
+  saveSimulator();
+  
+  console.log(`âš ï¸  Simulated faults scheduled on ${sim.deviceId}: ${faults.map(f => f.fault).join(', ')}`);
+  io.emit('simulatorFaults', { deviceId: sim.deviceId, faults: sim.faults });
+  res.status(201).json({ deviceId: sim.deviceId, faults });
+});
+
+// Clear all scheduled and active faults
+app.delete('/api/mock/simulator/devices/:deviceId/faults', requireRole('operator'), (req, res) => {
+  const sim = simulatedDevices.get(req.params.deviceId);
+  
+  if (!sim) {
+    return res.status(404).json({ error: 'Simulated device not found' });
+  }
+  
+  const cleared = sim.faults.length;
+  sim.faults = [];
+  saveSimulator();
+  
+  io.emit('simulatorFaults', { deviceId: sim.deviceId, faults: sim.faults });
+  res.json({ success: true, deviceId: sim.deviceId, cleared });
+});
+
+// ==================== REST API ENDPOINTS ====================
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    activeDevices: Array.from(deviceRegistry.values()).filter(d => d.status === 'online').length,
+    registeredDevices: deviceRegistry.size,
+    version: '3.0',
+    supportedDevices: Object.keys(DEVICE_DRIVERS)
+  });
+});
+
+// Helper: Scrapers authenticate with METRICS_TOKEN as a Bearer token, or as
+// any viewer (e.g. Prometheus basic_auth)
+function requireMetricsAccess(req, res, next) {
+  const auth = req.headers.authorization || '';
+  if (METRICS_TOKEN && auth.startsWith('Bearer ')) {
+    const candidate = Buffer.from(auth.slice(7));
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return next();
+    }
+  }
+  return requireRole('viewer')(req, res, next);
+}
+
+// Prometheus exposition format (text/plain; version=0.0.4)
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  const lines = [];
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  const labels = (set) => {
+    const pairs = Object.entries(set).filter(([, value]) => value != null);
+    return pairs.length ? `{${pairs.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}` : '';
+  };
+  const family = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    samples.forEach(([set, value, suffix = '']) => {
+      if (typeof value === 'number' && isFinite(value)) lines.push(`${name}${suffix}${labels(set)} ${value}`);
+    });
+  };
+  
+  // Per-device gauges from the latest reading
+  const now = Date.now();
+  const voltage = [];
+  const current = [];
+  const power = [];
+  const relay = [];
+  const lastSeen = [];
+  const online = [];
+  
+  deviceRegistry.forEach((device, deviceId) => {
+    const base = { device_id: deviceId, device_type: device.deviceType };
+    const data = realtimeData.get(deviceId);
+    
+    online.push([base, device.status === 'online' ? 1 : 0]);
+    if (device.lastSeen) lastSeen.push([base, (now - new Date(device.lastSeen).getTime()) / 1000]);
+    if (!data) return;
+    
+    const driver = deviceDriver(device.deviceType);
+    voltage.push([base, data.voltage]);
+    if (driver.channels.length > 0) {
+      driver.channels.forEach(channel => {
+        const values = data[channel] || {};
+        const set = { ...base, channel };
+        current.push([set, Number(values.current)]);
+        power.push([set, Number(values.power)]);
+        if (values[driver.relayField] != null) relay.push([set, values[driver.relayField] ? 1 : 0]);
+      });
+    } else {
+      current.push([base, data.current]);
+      power.push([base, data.power]);
+      relay.push([base, data[driver.relayField] ? 1 : 0]);
+    }
+  });
+  
+  family('esp_device_voltage_volts', 'gauge', 'Latest reported voltage.', voltage);
+  family('esp_device_current_amperes', 'gauge', 'Latest reported current (per channel on multi-channel boards).', current);
+  family('esp_device_power_watts', 'gauge', 'Latest reported power (per channel on multi-channel boards).', power);
+  family('esp_device_relay_state', 'gauge', 'Relay/SSR state (1 = on).', relay);
+  family('esp_device_last_seen_age_seconds', 'gauge', 'Seconds since the device was last seen.', lastSeen);
+  family('esp_device_online', 'gauge', 'Whether the device is online.', online);
+  
+  // Server internals
+  family('esp_readings_ingested_total', 'counter', 'Readings ingested since start.',
+    Object.entries(metrics.readingsIngested).map(([deviceType, count]) => [{ device_type: deviceType }, count]));
+  family('esp_readings_rejected_total', 'counter', 'Reading payloads rejected by schema validation since start.',
+    Object.entries(metrics.readingsRejected).map(([deviceId, count]) => [{ device_id: deviceId }, count]));
+  family('esp_commands_total', 'counter', 'Command deliveries (sent) and outcomes since start.',
+    Object.entries(metrics.commands).map(([status, count]) => [{ status }, count]));
+  family('esp_websocket_connections', 'gauge', 'Open device WebSocket connections.', [[{}, esp32Connections.size]]);
+  family('esp_socketio_clients', 'gauge', 'Connected Socket.IO dashboard clients.', [[{}, io.engine.clientsCount]]);
+  family('esp_mqtt_connected', 'gauge', 'Whether the MQTT bridge is connected (absent when disabled).',
+    mqttClient ? [[{}, mqttClient.connected ? 1 : 0]] : []);
+  
+  const latency = [];
+  Object.entries(metrics.storageWrites).forEach(([store, histogram]) => {
+    STORAGE_LATENCY_BUCKETS.forEach((bound, i) => latency.push([{ store, le: bound }, histogram.buckets[i], '_bucket']));
+    latency.push([{ store, le: '+Inf' }, histogram.count, '_bucket']);
+    latency.push([{ store }, histogram.sum, '_sum']);
+    latency.push([{ store }, histogram.count, '_count']);
+  });
+  family('esp_storage_write_duration_seconds', 'histogram', 'Storage write latency.', latency);
+  
+  family('esp_process_uptime_seconds', 'gauge', 'Server uptime.', [[{}, process.uptime()]]);
+  
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(lines.join('\n') + '\n');
+});
+
+// Get all registered devices (optional: ?status=online|offline)
+app.get('/api/devices', requireRole('viewer'), (req, res) => {
+  const status = req.query.status;
+  const devices = Array.from(deviceRegistry.values())
+    .filter(device => !status || device.status === status)
+    .map(describeDevice);
+  
+  res.json(devices);
+});
+
+// Get devices by type
+app.get('/api/devices/type/:deviceType', requireRole('viewer'), (req, res) => {
+  const { deviceType } = req.params;
+  const devices = Array.from(deviceRegistry.values())
+    .filter(device => (device.deviceType || device.expectedType) === deviceType.toUpperCase())
+    .map(describeDevice);
+  
+  res.json(devices);
+});
+
+// Get device info
+app.get('/api/devices/:deviceId', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+  const device = deviceRegistry.get(deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  res.json(describeDevice(device));
+});
+
+// Helper: Parse from/to/bucket query parameters
+const BUCKET_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 10000;
+
+function parseRangeQuery(query) {
+  const range = {};
+  
+  for (const field of ['from', 'to']) {
+    if (query[field]) {
+      const time = new Date(query[field]);
+      if (isNaN(time.getTime())) {
+        return { error: `Invalid '${field}' timestamp (expected ISO 8601)` };
+      }
+      range[field] = time.toISOString();
+    }
+  }
+  
+  if (range.from && range.to && range.from > range.to) {
+    return { error: "'from' must be before 'to'" };
+  }
+  
+  if (query.bucket) {
+    const match = /^(\d+)([smhd])$/.exec(query.bucket);
+    if (!match || parseInt(match[1]) === 0) {
+      return { error: "Invalid 'bucket' (expected e.g. 1m, 15m, 1h, 1d)" };
+    }
+    range.bucket = query.bucket;
+    range.bucketMs = parseInt(match[1]) * BUCKET_UNITS[match[2]];
+    
+    // Without 'from' the range starts at the oldest stored reading
+    const from = range.from || oldestReadingTimestamp() || new Date().toISOString();
+    const span = new Date(range.to || Date.now()) - new Date(from);
+    if (span / range.bucketMs > MAX_BUCKETS) {
+      return { error: `Too many buckets for range (max ${MAX_BUCKETS})` };
+    }
+  }
+  
+  return range;
+}
+
+// Get latest readings for a device
+// Optional: from/to (ISO timestamps), bucket (e.g. 1m, 15m, 1h, 1d) for aggregates
+app.get('/api/devices/:deviceId/readings', requireRole('viewer'), async (req, res) => {
+  const { deviceId } = req.params;
+  const limit = parseInt(req.query.limit) || 100;
+  
+  const range = parseRangeQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  
+  try {
+    if (range.bucketMs) {
+      const buckets = await aggregateReadings({ deviceId, from: range.from, to: range.to }, range.bucketMs);
+      return res.json({
+        deviceId,
+        from: range.from || null,
+        to: range.to || null,
+        bucket: range.bucket,
+        buckets
+      });
+    }
+    
+    const { readings } = await queryReadings({ deviceId, from: range.from, to: range.to, limit, latest: true });
+    res.json(readings);
+  } catch (error) {
+    console.error('Error querying readings:', error);
+    res.status(500).json({ error: 'Failed to query readings' });
+  }
+});
+
+// Relay switching timeline with per-channel daily on-time and duty cycle
+// Optional: from/to (ISO timestamps, default last 7 days), channel, timezone, limit
+app.get('/api/devices/:deviceId/relay-events', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+  const device = deviceRegistry.get(deviceId);
+  const timeZone = req.query.timezone || DEFAULT_TIMEZONE;
+  const limit = parseInt(req.query.limit) || 500;
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: "Invalid 'timezone'" });
+  }
+  
+  const range = parseRangeQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  const to = range.to ? new Date(range.to) : new Date();
+  const from = range.from ? new Date(range.from) : new Date(to.getTime() - RELAY_EVENT_DAYS * 24 * 60 * 60 * 1000);
+  if (from > to) {
+    return res.status(400).json({ error: "'from' must be before 'to'" });
+  }
+  
+  let events = relayEvents.filter(e => e.deviceId === deviceId);
+  if (req.query.channel) {
+    const driver = deviceDriver(device.deviceType || device.expectedType);
+    const channel = driver.channels.length > 0 ? driverChannel(driver, req.query.channel) : 'main';
+    if (!channel || (driver.channels.length === 0 && req.query.channel !== 'main')) {
+      const channels = driver.channels.length > 0 ? `1-${driver.channels.length}` : "'main'";
+      return res.status(400).json({ error: `channel must be ${channels}` });
+    }
+    events = events.filter(e => e.channel === channel);
+  }
+  
+  // The state in effect at 'from' counts towards the totals
+  const fromIso = from.toISOString();
+  const toIso = to.toISOString();
+  const inRange = events.filter(e => e.timestamp >= fromIso && e.timestamp <= toIso);
+  const carried = [];
+  events.forEach(e => {
+    if (e.timestamp >= fromIso) return;
+    const i = carried.findIndex(c => c.channel === e.channel);
+    if (i === -1) carried.push(e);
+    else carried[i] = e;
+  });
+  
+  res.json({
+    deviceId,
+    deviceType: device.deviceType || device.expectedType || null,
+    from: fromIso,
+    to: toIso,
+    timezone: timeZone,
+    current: relayStates.get(deviceId) || {},
+    total: inRange.length,
+    events: inRange.slice(-limit).reverse(),
+    daily: summarizeRelayDays([...carried, ...inRange], from, to, timeZone)
+  });
+});
+
+// Get all readings (with pagination)
+// Optional: from/to (ISO timestamps), bucket (e.g. 1m, 15m, 1h, 1d) for aggregates
+app.get('/api/readings', requireRole('viewer'), async (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const offset = parseInt(req.query.offset) || 0;
+  const deviceId = req.query.deviceId;
+  const deviceType = req.query.deviceType;
+  
+  const range = parseRangeQuery(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  
+  const filter = {
+    deviceId,
+    deviceType: deviceType ? deviceType.toUpperCase() : undefined,
+    from: range.from,
+    to: range.to
+  };
+  
+  try {
+    if (range.bucketMs) {
+      const buckets = await aggregateReadings(filter, range.bucketMs);
+      return res.json({
+        from: range.from || null,
+        to: range.to || null,
+        bucket: range.bucket,
+        total: buckets.reduce((sum, b) => sum + b.count, 0),
+        buckets
+      });
+    }
+    
+    const { total, readings } = await queryReadings({ ...filter, offset, limit });
+    
+    res.json({
+      total,
+      offset,
+      limit,
+      readings
+    });
+  } catch (error) {
+    console.error('Error querying readings:', error);
+    res.status(500).json({ error: 'Failed to query readings' });
+  }
+});
+
+// Get sessions
+app.get('/api/sessions', requireRole('viewer'), (req, res) => {
+  const data = loadSessions();
+  const deviceId = req.query.deviceId;
+  const deviceType = req.query.deviceType;
+  
+  let sessions = data.sessions;
+  
+  if (deviceId) {
+    sessions = sessions.filter(s => s.deviceId === deviceId);
+  }
+  
+  if (deviceType) {
+    sessions = sessions.filter(s => s.deviceType === deviceType.toUpperCase());
+  }
+  
+  res.json(sessions);
+});
+
+// Get statistics
+app.get('/api/stats', requireRole('viewer'), async (req, res) => {
+  const deviceId = req.query.deviceId;
+  
+  // One accumulator per driver; the response has a key per device type
+  // (e.g. vaulter, cirquitiq), null when it has no readings
+  const totals = {};
+  Object.values(DEVICE_DRIVERS).forEach(driver => {
+    totals[driver.type] = driver.stats.create();
+  });
+  
+  // Energy is consumed kWh: increments between consecutive counter values
+  const counters = {};
+  const energyUsed = (r, channel, value) => {
+    const key = `${r.deviceId}/${channel}`;
+    const last = counters[key];
+    if (last === undefined) {
+      counters[key] = value;
+      return 0;
+    }
+    const { kwh, baseline } = energyIncrement(last, value);
+    counters[key] = baseline;
+    return kwh;
+  };
+  
+  try {
+    await forEachReading({ deviceId }, (r) => {
+      const energy = {};
+      energyCounters(r).forEach(({ channel, value }) => {
+        energy[channel] = energyUsed(r, channel, value);
+      });
+      
+      const driver = deviceDriver(r.deviceType);
+      driver.stats.add(totals[driver.type], r, energy);
+    });
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    return res.status(500).json({ error: 'Failed to compute stats' });
+  }
+  
+  if (Object.values(totals).every(acc => acc.count === 0)) {
+    return res.json({ error: 'No data available' });
+  }
+  
+  const stats = {};
+  Object.values(DEVICE_DRIVERS).forEach(driver => {
+    const acc = totals[driver.type];
+    stats[driver.type.toLowerCase()] = acc.count > 0 ? driver.stats.finish(acc) : null;
+  });
+  
+  res.json(stats);
+});
+
+// Consumed energy from the ledger (?interval=day|week|month, deviceId,
+// deviceType, from, to, timezone)
+app.get('/api/energy', requireRole('viewer'), (req, res) => {
+  const { deviceId, deviceType } = req.query;
+  const interval = req.query.interval || 'day';
+  const timeZone = req.query.timezone || DEFAULT_TIMEZONE;
+  
+  if (!ENERGY_INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of ${Object.keys(ENERGY_INTERVALS).join(', ')}` });
+  }
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: "Invalid 'timezone'" });
+  }
+  
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - ENERGY_INTERVALS[interval] * 24 * 60 * 60 * 1000);
+  
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return res.status(400).json({ error: "Invalid 'from'/'to' range" });
+  }
+  if (from.getTime() < Date.now() - ENERGY_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `'from' is beyond the ${ENERGY_RETENTION_DAYS}-day energy history` });
+  }
+  
+  let deviceIds = Object.keys(energyLedger.hours);
+  if (deviceId) {
+    deviceIds = deviceIds.filter(id => id === deviceId);
+  }
+  if (deviceType) {
+    deviceIds = deviceIds.filter(id => deviceRegistry.get(id)?.deviceType === deviceType.toUpperCase());
+  }
+  
+  res.json({
+    interval,
+    timezone: timeZone,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    devices: summarizeEnergy(deviceIds.sort(), interval, from, to, timeZone)
+  });
+});
+
+// Detected energy counter resets (?deviceId, limit)
+app.get('/api/energy/resets', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.query;
+  const limit = parseInt(req.query.limit) || 100;
+  
+  const resets = energyLedger.resets
+    .filter(r => !deviceId || r.deviceId === deviceId)
+    .slice(-limit)
+    .reverse();
+  
+  res.json({ resets });
+});
+
+// ==================== EXPORTS ====================
+
+// Spreadsheet exports are streamed as CSV (RFC 4180, CRLF rows). With
+// ?format=excel a UTF-8 byte order mark is prepended so Excel detects the
+// encoding. Reading columns follow each driver's newest schema; channel
+// objects are flattened to ch1_*, ch2_*, ... columns.
+const EXPORT_FORMATS = ['csv', 'excel'];
+const COMMON_EXPORT_COLUMNS = ['timestamp', 'deviceId', 'deviceType', 'voltage', 'state', 'sensors'];
+
+// Helper: One CSV cell. Text starting with a formula character is prefixed
+// with a quote so spreadsheets don't evaluate it.
+function csvCell(value) {
+  if (value == null || (typeof value === 'number' && !isFinite(value))) return '';
+  if (typeof value === 'object') value = JSON.stringify(value);
+  
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Helper: Export columns of one driver's readings, as [column, channel, field]
+function driverExportColumns(driver) {
+  const schema = readingSchemaFor(driver.type);
+  const channelFields = Object.keys(schema.channelFields || CHANNEL_READING_FIELDS);
+  
+  return Object.entries(schema.fields).flatMap(([name, rule]) => {
+    if (COMMON_EXPORT_COLUMNS.includes(name)) return [];
+    if (rule.type !== 'channel') return [[name, null, name]];
+    const n = driver.channels.indexOf(name) + 1;
+    return channelFields.map(field => [`ch${n}_${field}`, name, field]);
+  });
+}
+
+// Helper: Reading columns for an optional device type filter
+function readingExportColumns(deviceType) {
+  const drivers = isDeviceType(deviceType) ? [DEVICE_DRIVERS[deviceType]] : Object.values(DEVICE_DRIVERS);
+  const columns = new Set(COMMON_EXPORT_COLUMNS);
+  drivers.forEach(driver => {
+    driverExportColumns(driver).forEach(([column]) => columns.add(column));
+  });
+  return Array.from(columns);
+}
+
+// Helper: Flatten a stored reading into a column -> value lookup
+function flattenReading(reading) {
+  const flat = { ...reading };
+  driverExportColumns(deviceDriver(reading.deviceType)).forEach(([column, channel, field]) => {
+    if (channel) flat[column] = reading[channel]?.[field];
+  });
+  return flat;
+}
+
+// Helper: Validate export query and send CSV headers. Returns the parsed
+// range, or null after responding with an error.
+function startExport(req, res, name) {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    return null;
+  }
+  
+  const range = parseRangeQuery({ from: req.query.from, to: req.query.to });
+  if (range.error) {
+    res.status(400).json({ error: range.error });
+    return null;
+  }
+  
+  const scope = (req.query.deviceId || req.query.deviceType || 'all').replace(/[^\w.-]/g, '_');
+  const filename = `${name}-${scope}-${new Date().toISOString().slice(0, 10)}.csv`;
+  
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  if (format === 'excel') {
+    res.write('\ufeff');
+  }
+  return range;
+}
+
+// Helper: Wait until the response has drained its write buffer
+function drained(res) {
+  if (!res.writableNeedDrain || res.destroyed) return Promise.resolve();
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+// Helper: Write rows with backpressure, yielding every `batch` rows
+async function streamRows(res, rows, batch = 500) {
+  for (let i = 0; i < rows.length && !res.destroyed; i++) {
+    res.write(rows[i]);
+    if (i % batch === batch - 1) await drained(res);
+  }
+}
+
+// Export readings (?deviceId, deviceType, from, to, format)
+// Segments are written one at a time and the response is drained in between,
+// so memory use stays bounded by one hourly segment.
+app.get('/api/export/readings', requireRole('viewer'), async (req, res) => {
+  const deviceType = req.query.deviceType ? req.query.deviceType.toUpperCase() : undefined;
+  const range = startExport(req, res, 'readings');
+  if (!range) return;
+  
+  const filter = { deviceId: req.query.deviceId, deviceType, from: range.from, to: range.to };
+  const columns = readingExportColumns(deviceType);
+  
+  try {
+    await flushReadings();
+    res.write(csvRow(columns));
+    
+    for (const segment of selectSegments(filter)) {
+      if (res.destroyed) break;
+      
+      await scanSegment(segment.key, entry => {
+        if (res.destroyed) return false;
+        if (!matchesReading(entry, filter)) return;
+        
+        const flat = flattenReading(entry);
+        res.write(csvRow(columns.map(column => flat[column])));
+      });
+      await drained(res);
+    }
+    
+    res.end();
+  } catch (error) {
+    console.error('Error exporting readings:', error);
+    res.destroy(error);
+  }
+});
+
+// Export sessions overlapping the range (?deviceId, deviceType, from, to, format)
+app.get('/api/export/sessions', requireRole('viewer'), async (req, res) => {
+  const { deviceId } = req.query;
+  const deviceType = req.query.deviceType ? req.query.deviceType.toUpperCase() : undefined;
+  const range = startExport(req, res, 'sessions');
+  if (!range) return;
+  
+  const columns = ['deviceId', 'deviceType', 'ip', 'startTime', 'endTime', 'durationSeconds', 'active'];
+  const sessions = loadSessions().sessions.filter(s =>
+    (!deviceId || s.deviceId === deviceId) &&
+    (!deviceType || s.deviceType === deviceType) &&
+    (!range.to || s.startTime <= range.to) &&
+    (!range.from || !s.endTime || s.endTime >= range.from)
+  );
+  
+  res.write(csvRow(columns));
+  await streamRows(res, sessions.map(s => csvRow([
+    s.deviceId,
+    s.deviceType,
+    s.ip,
+    s.startTime,
+    s.endTime,
+    s.endTime ? Math.round((new Date(s.endTime) - new Date(s.startTime)) / 1000) : null,
+    s.active
+  ])));
+  res.end();
+});
+
+// Export command history (?deviceId, deviceType, status, from, to, format)
+app.get('/api/export/commands', requireRole('viewer'), async (req, res) => {
+  const { deviceId, status } = req.query;
+  const deviceType = req.query.deviceType ? req.query.deviceType.toUpperCase() : undefined;
+  const range = startExport(req, res, 'commands');
+  if (!range) return;
+  
+  const columns = ['timestamp', 'commandId', 'deviceId', 'deviceType', 'command', 'source', 'user', 'status',
+    'attempts', 'sentAt', 'ackedAt', 'completedAt', 'error'];
+  const commands = commandLog.commands.filter(c =>
+    (!deviceId || c.deviceId === deviceId) &&
+    (!deviceType || deviceRegistry.get(c.deviceId)?.deviceType === deviceType) &&
+    (!status || c.status === status) &&
+    (!range.from || c.timestamp >= range.from) &&
+    (!range.to || c.timestamp <= range.to)
+  );
+  
+  res.write(csvRow(columns));
+  await streamRows(res, commands.map(c => csvRow(columns.map(column =>
+    column === 'deviceType' ? deviceRegistry.get(c.deviceId)?.deviceType : c[column]
+  ))));
+  res.end();
+});
+
+// ==================== AUTH & USERS ====================
+
+// Log in and receive a bearer token
+app.post('/api/auth/login', async (req, res, next) => {
+  const { username, password } = req.body;
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password required' });
+  }
+  
+  try {
+    const user = findUser(username);
+    if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    res.json({
+      token: signToken(user),
+      expiresIn: TOKEN_TTL,
+      user: describeUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Current user
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json(describeUser(req.user));
+});
+
+// Change own password (invalidates existing tokens)
+app.post('/api/auth/password', requireRole('viewer'), async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  if (!newPassword || String(newPassword).length < 8) {
+    return res.status(400).json({ error: 'newPassword must be at least 8 characters' });
+  }
+  
+  try {
+    if (!(await verifyPassword(currentPassword, req.user.passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    
+    req.user.passwordHash = await hashPassword(newPassword);
+    req.user.tokenVersion++;
+    req.user.updatedAt = new Date().toISOString();
+    saveUsers();
+    
+    res.json({ success: true, token: signToken(req.user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List users
+app.get('/api/admin/users', requireRole('admin'), (req, res) => {
+  res.json({ users: users.map(describeUser) });
+});
+
+// Create user
+app.post('/api/admin/users', requireRole('admin'), async (req, res, next) => {
+  const { username, password, role } = req.body;
+  
+  if (!username || typeof username !== 'string' || username.includes(':')) {
+    return res.status(400).json({ error: 'Valid username required' });
+  }
+  if (!password || String(password).length < 8) {
+    return res.status(400).json({ error: 'password must be at least 8 characters' });
+  }
+  if (!ROLE_LEVELS[role]) {
+    return res.status(400).json({ error: `role must be one of ${Object.keys(ROLE_LEVELS).join(', ')}` });
+  }
+  if (findUser(username)) {
+    return res.status(409).json({ error: 'User already exists' });
+  }
+  
+  try {
+    const user = await createUser({ username, password, role });
+    console.log(`â†' Admin CREATE USER: ${username} (${role}) by ${req.user.username}`);
+    res.status(201).json(describeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper: Would this change leave no enabled admin?
+function removesLastAdmin(user, changes) {
+  const remaining = users.filter(u => u !== user && u.role === 'admin' && !u.disabled);
+  const stillAdmin = (changes.role || user.role) === 'admin' && !(changes.disabled ?? user.disabled);
+  return user.role === 'admin' && !stillAdmin && remaining.length === 0;
+}
+
+// Update user role, password or disabled flag
+app.put('/api/admin/users/:username', requireRole('admin'), async (req, res, next) => {
+  const user = findUser(req.params.username);
+  const { role, password, disabled } = req.body;
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (role !== undefined && !ROLE_LEVELS[role]) {
+    return res.status(400).json({ error: `role must be one of ${Object.keys(ROLE_LEVELS).join(', ')}` });
+  }
+  if (password !== undefined && String(password).length < 8) {
+    return res.status(400).json({ error: 'password must be at least 8 characters' });
+  }
+  if (removesLastAdmin(user, { role, disabled })) {
+    return res.status(409).json({ error: 'Cannot remove the last admin' });
+  }
+  
+  try {
+    if (role !== undefined) user.role = role;
+    if (disabled !== undefined) user.disabled = Boolean(disabled);
+    if (password !== undefined) user.passwordHash = await hashPassword(password);
+    if (password !== undefined || disabled) user.tokenVersion++;
+    user.updatedAt = new Date().toISOString();
+    saveUsers();
+    
+    res.json(describeUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete user
+app.delete('/api/admin/users/:username', requireRole('admin'), (req, res) => {
+  const user = findUser(req.params.username);
+  
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (removesLastAdmin(user, { disabled: true })) {
+    return res.status(409).json({ error: 'Cannot remove the last admin' });
+  }
+  
+  users = users.filter(u => u !== user);
+  saveUsers();
+  
+  console.log(`â†' Admin DELETE USER: ${user.username} by ${req.user.username}`);
+  
+  res.json({ success: true, username: user.username });
+});
+
+// ==================== ALERTS ====================
+
+// List alerts (filters: deviceId, status, severity, ruleId, from, to, limit)
+app.get('/api/alerts', requireRole('viewer'), (req, res) => {
+  const { deviceId, status, severity, ruleId } = req.query;
+  const limit = parseInt(req.query.limit) || 100;
+  
+  const range = parseRangeQuery({ from: req.query.from, to: req.query.to });
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  
+  let alerts = alertLog;
+  
+  if (deviceId) alerts = alerts.filter(a => a.deviceId === deviceId);
+  if (status) alerts = alerts.filter(a => a.status === status);
+  if (severity) alerts = alerts.filter(a => a.severity === severity);
+  if (ruleId) alerts = alerts.filter(a => a.ruleId === ruleId);
+  if (range.from) alerts = alerts.filter(a => a.triggeredAt >= range.from);
+  if (range.to) alerts = alerts.filter(a => a.triggeredAt <= range.to);
+  
+  res.json({
+    total: alerts.length,
+    alerts: alerts.slice(-limit).reverse()
+  });
+});
+
+// Get a single alert
+app.get('/api/alerts/:alertId', requireRole('viewer'), (req, res) => {
+  const alert = alertLog.find(a => a.id === req.params.alertId);
+  
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  
+  res.json(alert);
+});
+
+// Acknowledge an alert
+app.post('/api/alerts/:alertId/acknowledge', requireRole('operator'), (req, res) => {
+  const alert = alertLog.find(a => a.id === req.params.alertId);
+  
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  
+  if (alert.status !== 'active') {
+    return res.status(409).json({ error: `Alert already ${alert.status}` });
+  }
+  
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date().toISOString();
+  alert.acknowledgedBy = req.user.username;
+  if (req.body.note) alert.note = req.body.note;
+  saveAlerts();
+  
+  io.emit('alertUpdated', alert);
+  emitWebhookEvent('alert.updated', alert);
+  res.json(alert);
+});
+
+// Resolve an alert
+app.post('/api/alerts/:alertId/resolve', requireRole('operator'), (req, res) => {
+  const alert = alertLog.find(a => a.id === req.params.alertId);
+  
+  if (!alert) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  
+  if (alert.status === 'resolved') {
+    return res.status(409).json({ error: 'Alert already resolved' });
+  }
+  
+  alert.status = 'resolved';
+  alert.resolvedAt = new Date().toISOString();
+  alert.resolvedBy = req.user.username;
+  if (req.body.note) alert.note = req.body.note;
+  saveAlerts();
+  
+  io.emit('alertUpdated', alert);
+  emitWebhookEvent('alert.updated', alert);
+  res.json(alert);
+});
+
+// List alert rules
+app.get('/api/admin/alert-rules', requireRole('viewer'), (req, res) => {
+  res.json({ rules: alertRules });
+});
+
+// Create alert rule
+app.post('/api/admin/alert-rules', requireRole('admin'), (req, res) => {
+  const { rule, error } = normalizeAlertRule({ ...req.body, id: undefined, createdAt: undefined });
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  alertRules.push(rule);
+  saveAlertRules();
+  
+  res.status(201).json(rule);
+});
+
+// Update alert rule
+app.put('/api/admin/alert-rules/:ruleId', requireRole('admin'), (req, res) => {
+  const index = alertRules.findIndex(r => r.id === req.params.ruleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  
+  const existing = alertRules[index];
+  const { rule, error } = normalizeAlertRule({ ...req.body, id: existing.id, createdAt: existing.createdAt }, existing);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  alertRules[index] = rule;
+  saveAlertRules();
+  
+  res.json(rule);
+});
+
+// Delete alert rule
+app.delete('/api/admin/alert-rules/:ruleId', requireRole('admin'), (req, res) => {
+  const index = alertRules.findIndex(r => r.id === req.params.ruleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  
+  alertRules.splice(index, 1);
+  saveAlertRules();
+  
+  res.json({ success: true, ruleId: req.params.ruleId });
+});
+
+// ==================== PROTECTIVE TRIP ADMIN ====================
+
+// List trip rules
+app.get('/api/admin/trip-rules', requireRole('viewer'), (req, res) => {
+  res.json({ rules: tripRules });
+});
+
+// Create trip rule
+app.post('/api/admin/trip-rules', requireRole('admin'), (req, res) => {
+  const { rule, error } = normalizeTripRule({ ...req.body, id: generateId('trip_rule'), createdAt: undefined });
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  tripRules.push(rule);
+  saveTripRules();
+  
+  res.status(201).json(rule);
+});
+
+// Update trip rule
+app.put('/api/admin/trip-rules/:ruleId', requireRole('admin'), (req, res) => {
+  const index = tripRules.findIndex(r => r.id === req.params.ruleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  
+  const existing = tripRules[index];
+  const { rule, error } = normalizeTripRule({ ...req.body, id: existing.id, createdAt: existing.createdAt }, existing);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  tripRules[index] = rule;
+  saveTripRules();
+  
+  res.json(rule);
+});
+
+// Delete trip rule
+app.delete('/api/admin/trip-rules/:ruleId', requireRole('admin'), (req, res) => {
+  const index = tripRules.findIndex(r => r.id === req.params.ruleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+  
+  tripRules.splice(index, 1);
+  saveTripRules();
+  
+  res.json({ success: true, ruleId: req.params.ruleId });
+});
+
+// List trips (filters: deviceId, status, limit)
+app.get('/api/admin/trips', requireRole('viewer'), (req, res) => {
+  const { deviceId, status } = req.query;
+  const limit = parseInt(req.query.limit) || 100;
+  
+  let trips = tripLog;
+  if (deviceId) trips = trips.filter(t => t.deviceId === deviceId);
+  if (status) trips = trips.filter(t => t.status === status);
+  
+  res.json({
+    total: trips.length,
+    trips: trips.slice(-limit).reverse()
+  });
+});
+
+// Acknowledge a trip. Releases a latch; { restore: true } also switches the relay back on.
+app.post('/api/admin/trips/:tripId/acknowledge', requireRole('operator'), (req, res) => {
+  const trip = tripLog.find(t => t.id === req.params.tripId);
+  
+  if (!trip) {
+    return res.status(404).json({ error: 'Trip not found' });
+  }
+  
+  if (trip.acknowledgedAt) {
+    return res.status(409).json({ error: 'Trip already acknowledged' });
+  }
+  
+  trip.acknowledgedAt = new Date().toISOString();
+  trip.acknowledgedBy = req.user.username;
+  
+  if (req.body.restore && trip.status !== 'restored') {
+    restoreTrip(trip, req.user.username);
+  } else {
+    if (trip.status === 'latched') {
+      trip.status = 'acknowledged';
+    }
+    saveTrips();
+    io.emit('relayTripUpdated', trip);
+    emitWebhookEvent('trip.updated', trip);
+  }
+  
+  res.json(trip);
+});
+
+// ==================== BILLING ENDPOINTS ====================
+
+// List tariffs
+app.get('/api/admin/tariffs', requireRole('viewer'), (req, res) => {
+  res.json({ tariffs });
+});
+
+// Create tariff
+app.post('/api/admin/tariffs', requireRole('admin'), (req, res) => {
+  const { tariff, error } = normalizeTariff({ ...req.body, id: undefined, createdAt: undefined });
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  tariffs.push(tariff);
+  saveTariffs();
+  
+  res.status(201).json(tariff);
+});
+
+// Update tariff
+app.put('/api/admin/tariffs/:tariffId', requireRole('admin'), (req, res) => {
+  const index = tariffs.findIndex(t => t.id === req.params.tariffId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Tariff not found' });
+  }
+  
+  const existing = tariffs[index];
+  const { tariff, error } = normalizeTariff({ ...req.body, id: existing.id, createdAt: existing.createdAt }, existing);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  tariffs[index] = tariff;
+  saveTariffs();
+  
+  res.json(tariff);
+});
+
+// Delete tariff (only when no device uses it)
+app.delete('/api/admin/tariffs/:tariffId', requireRole('admin'), (req, res) => {
+  const { tariffId } = req.params;
+  const index = tariffs.findIndex(t => t.id === tariffId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Tariff not found' });
+  }
+  
+  const assigned = Array.from(deviceRegistry.values()).filter(d => d.tariffId === tariffId).map(d => d.deviceId);
+  if (assigned.length > 0) {
+    return res.status(409).json({ error: 'Tariff is assigned to devices', devices: assigned });
+  }
+  
+  tariffs.splice(index, 1);
+  saveTariffs();
+  
+  res.json({ success: true, tariffId });
+});
+
+// Assign a tariff to a device ({ tariffId: null } to unassign)
+app.put('/api/admin/devices/:deviceId/tariff', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  const { tariffId } = req.body;
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  if (tariffId != null && !tariffs.some(t => t.id === tariffId)) {
+    return res.status(400).json({ error: 'Unknown tariffId' });
+  }
+  
+  device.tariffId = tariffId || null;
+  device.updatedAt = new Date().toISOString();
+  saveDeviceRegistry();
+  
+  res.json(describeDevice(device));
+});
+
+// Monthly bill for a device (?period=YYYY-MM, default current month)
+app.get('/api/billing/:deviceId', requireRole('viewer'), async (req, res) => {
+  const { deviceId } = req.params;
+  const device = deviceRegistry.get(deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const tariff = tariffs.find(t => t.id === device.tariffId);
+  if (!tariff) {
+    return res.status(409).json({ error: 'No tariff assigned to device' });
+  }
+  
+  const now = zonedParts(new Date(), tariff.timezone);
+  const period = req.query.period || `${now.year}-${String(now.month).padStart(2, '0')}`;
+  
+  if (!billingPeriodBounds(period, tariff.timezone)) {
+    return res.status(400).json({ error: "Invalid 'period' (expected YYYY-MM)" });
+  }
+  
+  try {
+    res.json(await computeBill(deviceId, tariff, period));
+  } catch (error) {
+    console.error('Error computing bill:', error);
+    res.status(500).json({ error: 'Failed to compute bill' });
+  }
+});
+
+// ==================== WEBHOOK ADMIN ====================
+
+// List webhook subscriptions
+app.get('/api/admin/webhooks', requireRole('admin'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.map(describeWebhook) });
+});
+
+// Create subscription. The signing secret is only returned here.
+app.post('/api/admin/webhooks', requireRole('admin'), (req, res) => {
+  const { webhook, error } = normalizeWebhook({ ...req.body, id: undefined, createdAt: undefined, secret: undefined });
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  webhooks.push(webhook);
+  saveWebhooks();
+  
+  res.status(201).json({ ...describeWebhook(webhook), secret: webhook.secret });
+});
+
+// Update subscription ({ rotateSecret: true } issues a new secret)
+app.put('/api/admin/webhooks/:webhookId', requireRole('admin'), (req, res) => {
+  const index = webhooks.findIndex(w => w.id === req.params.webhookId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const existing = webhooks[index];
+  const { rotateSecret, ...changes } = req.body;
+  const { webhook, error } = normalizeWebhook({
+    ...changes,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    secret: rotateSecret ? undefined : existing.secret
+  }, existing);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  webhooks[index] = webhook;
+  saveWebhooks();
+  
+  res.json(rotateSecret ? { ...describeWebhook(webhook), secret: webhook.secret } : describeWebhook(webhook));
+});
+
+// Delete subscription
+app.delete('/api/admin/webhooks/:webhookId', requireRole('admin'), (req, res) => {
+  const index = webhooks.findIndex(w => w.id === req.params.webhookId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  webhooks.splice(index, 1);
+  saveWebhooks();
+  
+  res.json({ success: true, webhookId: req.params.webhookId });
+});
+
+// Fire a test event at one subscription and report the first attempt
+app.post('/api/admin/webhooks/:webhookId/test', requireRole('admin'), async (req, res) => {
+  const webhook = webhooks.find(w => w.id === req.params.webhookId);
+  
+  if (!webhook) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  
+  const event = {
+    id: generateId('evt'),
+    type: 'webhook.test',
+    timestamp: new Date().toISOString(),
+    data: { webhookId: webhook.id, triggeredBy: req.user.username }
+  };
+  const result = await deliverWebhook(webhook, event);
+  
+  res.json({ delivered: result.ok, status: result.status, error: result.error, event });
+});
+
+// Dead-letter log (?webhookId)
+app.get('/api/admin/webhooks/dead-letters', requireRole('admin'), (req, res) => {
+  const { webhookId } = req.query;
+  res.json({
+    deadLetters: webhookDeadLetters.filter(d => !webhookId || d.webhookId === webhookId).slice().reverse()
+  });
+});
+
+// Redeliver a dead letter (removed from the log; re-added if it fails again)
+app.post('/api/admin/webhooks/dead-letters/:deadLetterId/retry', requireRole('admin'), (req, res) => {
+  const index = webhookDeadLetters.findIndex(d => d.id === req.params.deadLetterId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  
+  const deadLetter = webhookDeadLetters[index];
+  const webhook = webhooks.find(w => w.id === deadLetter.webhookId);
+  if (!webhook) {
+    return res.status(409).json({ error: 'Webhook no longer exists' });
+  }
+  
+  webhookDeadLetters.splice(index, 1);
+  saveWebhookDeadLetters();
+  deliverWebhook(webhook, deadLetter.event).catch(error => console.error('Error delivering webhook:', error));
+  
+  res.status(202).json({ success: true, deadLetterId: deadLetter.id, eventId: deadLetter.event.id });
+});
+
+// Discard a dead letter
+app.delete('/api/admin/webhooks/dead-letters/:deadLetterId', requireRole('admin'), (req, res) => {
+  const index = webhookDeadLetters.findIndex(d => d.id === req.params.deadLetterId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  
+  webhookDeadLetters.splice(index, 1);
+  saveWebhookDeadLetters();
+  
+  res.json({ success: true, deadLetterId: req.params.deadLetterId });
+});
+
+// ==================== SCHEDULE ADMIN ====================
+
+// List schedules (?deviceId, enabled)
+app.get('/api/admin/schedules', requireRole('viewer'), (req, res) => {
+  const { deviceId, enabled } = req.query;
+  
+  res.json({
+    schedules: schedules.filter(s =>
+      (!deviceId || s.deviceId === deviceId) &&
+      (enabled === undefined || s.enabled === (enabled === 'true'))
+    )
+  });
+});
+
+// Get one schedule
+app.get('/api/admin/schedules/:scheduleId', requireRole('viewer'), (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.scheduleId);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json(schedule);
+});
+
+// Create schedule
+app.post('/api/admin/schedules', requireRole('operator'), (req, res) => {
+  const { schedule, error } = normalizeSchedule({
+    ...req.body,
+    id: undefined,
+    createdAt: undefined,
+    createdBy: req.user.username,
+    lastRunAt: undefined,
+    lastResult: undefined
+  });
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  schedules.push(schedule);
+  saveSchedules();
+  
+  res.status(201).json(schedule);
+});
+
+// Update schedule (also used to enable/disable: { enabled: false })
+app.put('/api/admin/schedules/:scheduleId', requireRole('operator'), (req, res) => {
+  const index = schedules.findIndex(s => s.id === req.params.scheduleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  const existing = schedules[index];
+  const { schedule, error } = normalizeSchedule({
+    ...req.body,
+    id: existing.id,
+    createdAt: existing.createdAt,
+    createdBy: existing.createdBy,
+    lastRunAt: existing.lastRunAt,
+    lastResult: existing.lastResult
+  }, existing);
+  
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  schedules[index] = schedule;
+  saveSchedules();
+  
+  res.json(schedule);
+});
+
+// Delete schedule
+app.delete('/api/admin/schedules/:scheduleId', requireRole('operator'), (req, res) => {
+  const index = schedules.findIndex(s => s.id === req.params.scheduleId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  schedules.splice(index, 1);
+  saveSchedules();
+  
+  res.json({ success: true, scheduleId: req.params.scheduleId });
+});
+
+// Run a schedule's action now ({ action } overrides the configured one)
+app.post('/api/admin/schedules/:scheduleId/run', requireRole('operator'), (req, res) => {
+  const schedule = schedules.find(s => s.id === req.params.scheduleId);
+  const action = req.body.action || schedule?.action;
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (!SCHEDULE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of ${SCHEDULE_ACTIONS.join(', ')}` });
+  }
+  
+  const result = runSchedule(schedule, action, `manual:${req.user.username}`);
+  saveSchedules();
+  
+  res.json({ scheduleId: schedule.id, ...result });
+});
+
+// ==================== FIRMWARE ADMIN ====================
+
+const firmwareBodyParser = express.raw({ type: 'application/octet-stream', limit: FIRMWARE_MAX_SIZE });
+
+// Helper: Read an upload body as a Buffer, answering parse errors with JSON
+function readFirmwareBody(req, res, next) {
+  firmwareBodyParser(req, res, (error) => {
+    if (error) {
+      return res.status(error.status || 400).json({
+        error: error.type === 'entity.too.large' ? `Firmware image exceeds ${FIRMWARE_MAX_SIZE} bytes` : 'Invalid firmware upload'
+      });
+    }
+    next();
+  });
+}
+
+// Helper: Server URL devices download firmware from
+function otaBaseUrl(req) {
+  if (OTA_BASE_URL) return OTA_BASE_URL.replace(/\/+$/, '');
+  const protocol = String(req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${protocol}://${req.get('host')}`;
+}
+
+// List firmware images (?deviceType), newest version first
+app.get('/api/admin/firmware', requireRole('viewer'), (req, res) => {
+  const deviceType = req.query.deviceType ? req.query.deviceType.toUpperCase() : null;
+  
+  res.json({
+    images: firmwareImages
+      .filter(image => !deviceType || image.deviceType === deviceType)
+      .sort((a, b) => a.deviceType.localeCompare(b.deviceType) || compareVersions(b.version, a.version))
+  });
+});
+
+// Upload a firmware image: binary body (application/octet-stream) with
+// ?deviceType, version and optional notes, filename
+app.post('/api/admin/firmware', requireRole('admin'), readFirmwareBody, (req, res) => {
+  const { image, error, status } = normalizeFirmwareUpload(req.query, req.body);
+  
+  if (error) {
+    return res.status(status || 400).json({ error });
+  }
+  
+  try {
+    fs.writeFileSync(firmwarePath(image.id), req.body);
+  } catch (writeError) {
+    console.error('Error storing firmware image:', writeError);
+    return res.status(500).json({ error: 'Failed to store firmware image' });
+  }
+  
+  image.uploadedBy = req.user.username;
+  firmwareImages.push(image);
+  saveFirmware();
+  
+  console.log(`âœ" Firmware uploaded: ${image.deviceType} ${image.version} (${image.size} bytes, sha256 ${image.sha256.slice(0, 12)}...)`);
+  res.status(201).json(image);
+});
+
+// Delete a firmware image that no active rollout uses
+app.delete('/api/admin/firmware/:firmwareId', requireRole('admin'), (req, res) => {
+  const index = firmwareImages.findIndex(image => image.id === req.params.firmwareId);
+  
+  if (index === -1) {
+    return res.status(404).json({ error: 'Firmware image not found' });
+  }
+  if (otaRollouts.some(r => r.status === 'active' && r.firmwareId === req.params.firmwareId)) {
+    return res.status(409).json({ error: 'Firmware image is used by an active rollout' });
+  }
+  
+  firmwareImages.splice(index, 1);
+  saveFirmware();
+  try {
+    fs.rmSync(firmwarePath(req.params.firmwareId), { force: true });
+  } catch (error) {
+    console.error('Error deleting firmware image:', error);
+  }
+  
+  res.json({ success: true, firmwareId: req.params.firmwareId });
+});
+
+// List rollouts (?status, deviceId), newest first
+app.get('/api/admin/ota/rollouts', requireRole('viewer'), (req, res) => {
+  const { status, deviceId } = req.query;
+  
+  res.json({
+    rollouts: otaRollouts
+      .filter(r => (!status || r.status === status) && (!deviceId || r.targets.some(t => t.deviceId === deviceId)))
+      .map(describeOtaRollout)
+      .reverse()
+  });
+});
+
+// Get one rollout with per-device progress
+app.get('/api/admin/ota/rollouts/:rolloutId', requireRole('viewer'), (req, res) => {
+  const rollout = otaRollouts.find(r => r.id === req.params.rolloutId);
+  
+  if (!rollout) {
+    return res.status(404).json({ error: 'Rollout not found' });
+  }
+  
+  res.json(describeOtaRollout(rollout));
+});
+
+// Start a rollout: { firmwareId, deviceIds?, tags?, force? }. Devices of
+// another type, already updating or already on the version are skipped.
+app.post('/api/admin/ota/rollouts', requireRole('admin'), (req, res) => {
+  const normalized = normalizeOtaRollout(req.body);
+  
+  if (normalized.error) {
+    return res.status(400).json({ error: normalized.error });
+  }
+  
+  const rollout = startOtaRollout(normalized, { baseUrl: otaBaseUrl(req), user: req.user.username });
+  res.status(201).json(describeOtaRollout(rollout));
+});
+
+// Cancel a rollout
+app.post('/api/admin/ota/rollouts/:rolloutId/cancel', requireRole('admin'), (req, res) => {
+  const rollout = otaRollouts.find(r => r.id === req.params.rolloutId);
+  
+  if (!rollout) {
+    return res.status(404).json({ error: 'Rollout not found' });
+  }
+  if (rollout.status !== 'active') {
+    return res.status(409).json({ error: `Rollout is already ${rollout.status}` });
+  }
+  
+  res.json(describeOtaRollout(cancelOtaRollout(rollout, req.user.username)));
+});
+
+// Firmware download for devices, authorized by the signed URL in their
+// ota command (?deviceId, expires, signature)
+app.get('/api/firmware/:firmwareId/download', (req, res) => {
+  const image = firmwareImages.find(i => i.id === req.params.firmwareId);
+  
+  if (!image) {
+    return res.status(404).json({ error: 'Firmware image not found' });
+  }
+  
+  const match = verifyFirmwareDownload(image.id, req.query);
+  if (match.error) {
+    return res.status(match.status).json({ error: match.error });
+  }
+  
+  if (match.target.status !== 'in-progress') {
+    updateOtaTarget(match.rollout, match.target, { status: 'in-progress', message: 'Downloading' });
+  }
+  console.log(`â†' Firmware ${image.version} download by ${req.query.deviceId}`);
+  
+  res.download(firmwarePath(image.id), image.filename, {
+    headers: {
+      'X-Firmware-Version': image.version,
+      'X-Firmware-SHA256': image.sha256
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(500).json({ error: 'Failed to read firmware image' });
+    }
+  });
+});
+
+// ==================== READING SCHEMAS ====================
+
+// Each driver lists its reading schemas by the first firmware version that
+// sends that shape, oldest first; a reading is checked against the newest
+// schema its firmware has reached (the newest overall when the firmware
+// version is unknown). A schema may override `channelFields`. Field rules:
+//   type     - 'number' | 'boolean' | 'string' | 'channel' (channelFields)
+//   required - the reading is rejected when the field is missing
+//   min/max  - plausible range; values outside it are rejected
+//   default  - stored when an optional field is missing
+// Readings that pass but look wrong (unexpected fields, sensor faults, power
+// above V x I) are stored with quality 'suspect' and the issues found.
+
+// Top-level fields every payload may carry besides its schema fields
+const READING_ENVELOPE_FIELDS = ['deviceId', 'deviceType', 'firmwareVersion', 'timestamp'];
+
+// Helper: Compare dotted version strings numerically (-1, 0, 1)
+function compareVersions(a, b) {
+  const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+  const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  return 0;
+}
+
+function readingSchemaFor(deviceType, firmwareVersion) {
+  const { schemas } = deviceDriver(deviceType);
+  if (!firmwareVersion) return schemas[schemas.length - 1];
+  
+  const matching = schemas.filter(schema => compareVersions(firmwareVersion, schema.firmware) >= 0);
+  return matching.length > 0 ? matching[matching.length - 1] : schemas[0];
+}
+
+// Helper: Coerce a raw field to its schema type. Returns undefined when the
+// value can't be read as that type (numeric strings and 'true'/1 are accepted).
+function coerceReadingField(raw, type) {
+  if (type === 'number') {
+    const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+  }
+  if (type === 'boolean') {
+    if (raw === true || raw === 'true' || raw === 1 || raw === '1') return true;
+    if (raw === false || raw === 'false' || raw === 0 || raw === '0') return false;
+    return undefined;
+  }
+  return typeof raw === 'string' ? raw : undefined;
+}
+
+// Helper: Type of a device that never declared one, from the payload shape:
+// the driver whose required fields are all present (the most of them wins)
+function guessDeviceType(payload) {
+  let best = { type: DEFAULT_DEVICE_TYPE, score: -1 };
+  
+  Object.values(DEVICE_DRIVERS).forEach(driver => {
+    const { fields } = readingSchemaFor(driver.type);
+    const required = Object.keys(fields).filter(name => fields[name].required);
+    if (required.every(name => payload[name] != null) && required.length > best.score) {
+      best = { type: driver.type, score: required.length };
+    }
+  });
+  
+  return best.type;
+}
+
+function readingIssue(field, code, message) {
+  return { field, code, message };
+}
+
+// Helper: Check one object against a set of field rules, collecting hard
+// errors and soft warnings. Returns the coerced values.
+function checkReadingFields(source, fields, prefix, context) {
+  const values = {};
+  
+  Object.entries(fields).forEach(([name, rule]) => {
+    const path = `${prefix}${name}`;
+    const raw = source[name];
+    
+    if (raw === undefined || raw === null) {
+      if (rule.required) {
+        context.errors.push(readingIssue(path, 'required', `${path} is required`));
+      } else if (rule.default !== undefined) {
+        values[name] = rule.default;
+      }
+      return;
+    }
+    
+    if (rule.type === 'channel') {
+      if (typeof raw !== 'object' || Array.isArray(raw)) {
+        context.errors.push(readingIssue(path, 'type', `${path} must be an object`));
+        return;
+      }
+      values[name] = checkReadingFields(raw, context.channelFields, `${path}.`, context);
+      return;
+    }
+    
+    const value = coerceReadingField(raw, rule.type);
+    if (value === undefined) {
+      context.errors.push(readingIssue(path, 'type', `${path} must be a ${rule.type}`));
+      return;
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      const range = rule.max !== undefined ? `between ${rule.min} and ${rule.max}` : `at least ${rule.min}`;
+      context.errors.push(readingIssue(path, 'out_of_range', `${path} must be ${range}`));
+      return;
+    }
+    values[name] = value;
+  });
+  
+  Object.keys(source).forEach(name => {
+    if (Object.prototype.hasOwnProperty.call(fields, name) || (!prefix && READING_ENVELOPE_FIELDS.includes(name))) return;
+    context.warnings.push(readingIssue(`${prefix}${name}`, 'unexpected_field',
+      `${prefix}${name} is not part of the ${context.deviceType} schema and was dropped`));
+  });
+  
+  return values;
+}
+
+// Helper: Flag power readings a meter can't produce (real power above V x I,
+// with 10% + 5 W of slack for sampling skew)
+function checkPowerConsistency(path, power, voltage, current, warnings) {
+  if ([power, voltage, current].some(value => typeof value !== 'number')) return;
+  if (power > voltage * current * 1.1 + 5) {
+    warnings.push(readingIssue(path, 'inconsistent',
+      `${path} (${power} W) exceeds voltage x current (${(voltage * current).toFixed(1)} VA)`));
+  }
+}
+
+// Validate a reading payload against its device type's schema.
+// Returns { reading, quality, issues } or { errors } when it must be rejected.
+function validateReading(payload, deviceType, firmwareVersion) {
+  const schema = readingSchemaFor(deviceType, firmwareVersion);
+  const context = {
+    deviceType,
+    channelFields: schema.channelFields || CHANNEL_READING_FIELDS,
+    errors: [],
+    warnings: []
+  };
+  const values = checkReadingFields(payload, schema.fields, '', context);
+  
+  if (context.errors.length > 0) {
+    return { errors: context.errors };
+  }
+  
+  checkPowerConsistency('power', values.power, values.voltage, values.current, context.warnings);
+  deviceDriver(deviceType).channels.forEach(channel => {
+    if (values[channel]) {
+      checkPowerConsistency(`${channel}.power`, values[channel].power, values.voltage, values[channel].current, context.warnings);
+    }
+  });
+  if (values.sensors !== undefined && values.sensors !== 'valid' && values.sensors !== 'unknown') {
+    context.warnings.push(readingIssue('sensors', 'sensor_fault', `Device reported sensors as '${values.sensors}'`));
+  }
+  
+  return {
+    reading: { deviceType, ...values },
+    quality: context.warnings.length > 0 ? 'suspect' : 'good',
+    issues: context.warnings
+  };
+}
+
+// Helper: Count a rejected payload against the device (when registered).
+// Unregistered IDs share one metric label so senders can't add series.
+function recordRejectedPayload(deviceId, errors) {
+  const device = deviceRegistry.get(deviceId);
+  countMetric(metrics.readingsRejected, device ? deviceId : 'unknown');
+  if (!device) return;
+  
+  device.rejectedPayloads = (device.rejectedPayloads || 0) + 1;
+  device.lastRejection = { at: new Date().toISOString(), errors };
+  deviceRegistryDirty = true;
+}
+
+// ==================== ESP32 DATA ENDPOINT ====================
+
+// Ingest one reading payload from any transport: registers the device,
+// validates the reading against its schema, stores it, runs alert/trip rules,
+// updates realtime data and broadcasts it. Returns { entry, deviceType } or
+// { error, errors } when the payload is rejected.
+function ingestReading(payload, { ip, isMock = false }) {
+  const { deviceId, deviceType, firmwareVersion } = payload || {};
+  
+  if (!deviceId) {
+    return { error: 'Device ID required' };
+  }
+  
+  // The declared type wins, then the registered one; the payload shape is
+  // only a hint for devices the server knows nothing about
+  const registered = deviceRegistry.get(deviceId);
+  const detectedType = deviceType
+    ? String(deviceType).toUpperCase()
+    : registered?.expectedType || registered?.deviceType || guessDeviceType(payload);
+  
+  if (!isDeviceType(detectedType)) {
+    const errors = [readingIssue('deviceType', 'unknown_type', `deviceType must be one of ${Object.keys(DEVICE_DRIVERS).join(', ')}`)];
+    recordRejectedPayload(deviceId, errors);
+    return { error: 'Invalid reading', errors };
+  }
+  
+  const validation = validateReading(payload, detectedType, firmwareVersion || registered?.firmwareVersion);
+  if (validation.errors) {
+    recordRejectedPayload(deviceId, validation.errors);
+    return { error: 'Invalid reading', errors: validation.errors };
+  }
+  
+  // Register device / update presence
+  const { cameOnline } = markDeviceSeen(deviceId, {
+    deviceType: detectedType,
+    ip,
+    isMock: isMock || simulatedDevices.has(deviceId)
+  });
+  if (cameOnline) {
+    console.log(`âœ" Device online: ${deviceId} (${detectedType}) from ${ip}`);
+  }
+  
+  const reading = { ...validation.reading, quality: validation.quality };
+  if (validation.issues.length > 0) {
+    reading.qualityIssues = validation.issues;
+  }
+  
+  const entry = addReading(deviceId, reading);
+  countMetric(metrics.readingsIngested, detectedType);
+  evaluateAlertRules(deviceId, entry);
+  evaluateTripRules(deviceId, entry);
+  recordEnergy(deviceId, entry);
+  recordRelayStates(deviceId, entry);
+  feedCalibration(deviceId, entry);
+  
+  // Update realtime data
+  realtimeData.set(deviceId, {
+    ...reading,
+    timestamp: entry.timestamp
+  });
+  
+  // Broadcast to all connected web clients
+  io.emit('sensorData', {
+    deviceId,
+    deviceType: detectedType,
+    ...reading,
+    timestamp: entry.timestamp
+  });
+  
+  return { entry, deviceType: detectedType };
+}
+
+// POST endpoint for ESP32 to send data
+app.post('/api/data', (req, res) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  
+  if (!req.body.deviceId) {
+    return res.status(400).json({ error: 'Device ID required' });
+  }
+  
+  const auth = authenticateDevice(req.body.deviceId, req.get('X-Device-Key'), {
+    deviceType: req.body.deviceType,
+    ip,
+    transport: 'http'
+  });
+  if (!auth.ok) {
+    return res.status(auth.status).json({ error: auth.error });
+  }
+  
+  const result = ingestReading(req.body, { ip });
+  
+  if (result.error) {
+    return res.status(400).json({ error: result.error, deviceId: req.body.deviceId, errors: result.errors });
+  }
+  
+  res.json({
+    success: true,
+    timestamp: result.entry.timestamp,
+    message: 'Data received',
+    deviceType: result.deviceType,
+    quality: result.entry.quality,
+    issues: result.entry.qualityIssues || []
+  });
+});
+
+// Ingest readings received over a device connection (WebSocket or MQTT).
+// `deviceId` is the identity the transport vouches for: payloads for other
+// devices are rejected. Unless `authenticated`, each payload must carry the
+// device key. Returns { accepted, rejected: [{ index, error, errors? }] }.
+function ingestDevicePayloads(payloads, { deviceId, deviceType, ip, transport, authenticated }) {
+  const rejected = [];
+  let accepted = 0;
+  
+  payloads.forEach((payload, index) => {
+    if (!payload || typeof payload !== 'object') {
+      rejected.push({ index, error: 'Reading must be an object' });
+      return;
+    }
+    
+    const reading = {
+      ...payload,
+      deviceId: payload.deviceId || deviceId,
+      deviceType: payload.deviceType || deviceType
+    };
+    delete reading.type;
+    
+    if (deviceId && reading.deviceId !== deviceId) {
+      rejected.push({ index, error: `${transport === 'mqtt' ? 'Topic' : 'Connection'} is registered as ${deviceId}` });
+      return;
+    }
+    
+    if (!authenticated) {
+      if (!reading.deviceId) {
+        rejected.push({ index, error: 'Device ID required' });
+        return;
+      }
+      const auth = authenticateDevice(reading.deviceId, reading.key, {
+        deviceType: reading.deviceType,
+        ip,
+        transport
+      });
+      if (!auth.ok) {
+        rejected.push({ index, error: auth.error });
+        return;
+      }
+    }
+    delete reading.key;
+    
+    const result = ingestReading(reading, { ip });
+    if (result.error) {
+      rejected.push({ index, error: result.error, errors: result.errors });
+    } else {
+      accepted++;
+    }
+  });
+  
+  return { accepted, rejected };
+}
+
+// Apply a commandAck from a device and notify dashboards
+function receiveCommandAck(deviceId, data) {
+  console.log(`✓ Command acknowledged by ${deviceId}: ${data.command}`);
+  const entry = handleCommandAck(deviceId, data);
+  io.emit('commandAck', {
+    deviceId,
+    commandId: entry?.commandId || data.commandId || null,
+    command: data.command,
+    success: data.success,
+    status: entry?.status || null,
+    timestamp: new Date().toISOString()
+  });
+  return entry;
+}
+
+// ==================== ADMIN CONTROL ENDPOINTS ====================
 
-// Health check
-app.get('/api/health', (req, res) => {
+// List registered devices
+app.get('/api/admin/devices', requireRole('viewer'), (req, res) => {
   res.json({
-    status: 'ok',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    activeDevices: activeDevices.size,
-    version: '3.0',
-    supportedDevices: ['VAULTER', 'CIRQUITIQ']
+    total: deviceRegistry.size,
+    devices: Array.from(deviceRegistry.values()).map(describeDevice)
   });
 });
 
-// Get all active devices
-app.get('/api/devices', (req, res) => {
-  const devices = Array.from(activeDevices.entries()).map(([id, device]) => ({
-    deviceId: id,
-    ...device,
-    lastSeen: realtimeData.get(id)?.timestamp || null,
-    currentData: realtimeData.get(id) || null,
-    config: deviceConfigs.get(id) || null
-  }));
+// Register a device ahead of its first report
+app.post('/api/admin/devices', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.body;
   
-  res.json(devices);
+  if (!deviceId || typeof deviceId !== 'string') {
+    return res.status(400).json({ error: 'Device ID required' });
+  }
+  
+  if (deviceRegistry.has(deviceId)) {
+    return res.status(409).json({ error: 'Device already registered' });
+  }
+  
+  const error = validateDeviceMetadata(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  const device = createDeviceEntry(deviceId, pickDeviceMetadata(req.body));
+  deviceRegistry.set(deviceId, device);
+  saveDeviceRegistry();
+  
+  console.log(`â†' Admin REGISTER DEVICE: ${deviceId}`);
+  
+  res.status(201).json(describeDevice(device));
 });
 
-// Get devices by type
-app.get('/api/devices/type/:deviceType', (req, res) => {
-  const { deviceType } = req.params;
-  const devices = Array.from(activeDevices.entries())
-    .filter(([id, device]) => device.deviceType === deviceType.toUpperCase())
-    .map(([id, device]) => ({
-      deviceId: id,
-      ...device,
-      lastSeen: realtimeData.get(id)?.timestamp || null,
-      currentData: realtimeData.get(id) || null,
-      config: deviceConfigs.get(id) || null
-    }));
-  
-  res.json(devices);
+// List devices waiting for approval
+app.get('/api/admin/devices/pending', requireRole('viewer'), (req, res) => {
+  res.json({
+    mode: DEVICE_AUTH_MODE,
+    total: pendingDevices.size,
+    devices: Array.from(pendingDevices.values())
+  });
 });
 
-// Get device info
-app.get('/api/devices/:deviceId', (req, res) => {
+// Approve a quarantined device: registers it and issues its key (shown once)
+app.post('/api/admin/devices/pending/:deviceId/approve', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
-  const device = activeDevices.get(deviceId);
+  const pending = pendingDevices.get(deviceId);
+  
+  if (!pending) {
+    return res.status(404).json({ error: 'Pending device not found' });
+  }
+  
+  const error = validateDeviceMetadata(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
   
+  let device = deviceRegistry.get(deviceId);
   if (!device) {
-    return res.status(404).json({ error: 'Device not found' });
+    device = createDeviceEntry(deviceId, {
+      expectedType: isDeviceType(pending.deviceType) ? pending.deviceType : null,
+      ...pickDeviceMetadata(req.body)
+    });
+    deviceRegistry.set(deviceId, device);
   }
   
-  res.json({
-    deviceId,
-    ...device,
-    currentData: realtimeData.get(deviceId),
-    config: deviceConfigs.get(deviceId) || null
-  });
+  const key = issueDeviceKey(device);
+  pendingDevices.delete(deviceId);
+  savePendingDevices();
+  
+  console.log(`â†' Admin APPROVE DEVICE: ${deviceId}`);
+  
+  res.json({ device: describeDevice(device), key });
 });
 
-// Get latest readings for a device
-app.get('/api/devices/:deviceId/readings', (req, res) => {
+// Reject (remove) a quarantined device
+app.delete('/api/admin/devices/pending/:deviceId', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
-  const limit = parseInt(req.query.limit) || 100;
   
-  const data = loadData();
-  const readings = data.readings
-    .filter(r => r.deviceId === deviceId)
-    .slice(-limit);
+  if (!pendingDevices.delete(deviceId)) {
+    return res.status(404).json({ error: 'Pending device not found' });
+  }
+  savePendingDevices();
   
-  res.json(readings);
+  res.json({ success: true, deviceId });
 });
 
-// Get all readings (with pagination)
-app.get('/api/readings', (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
-  const offset = parseInt(req.query.offset) || 0;
-  const deviceId = req.query.deviceId;
-  const deviceType = req.query.deviceType;
+// Issue or rotate a device key (shown once)
+app.post('/api/admin/devices/:deviceId/key', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
   
-  const data = loadData();
-  let readings = data.readings;
-  
-  if (deviceId) {
-    readings = readings.filter(r => r.deviceId === deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (deviceType) {
-    readings = readings.filter(r => r.deviceType === deviceType.toUpperCase());
-  }
+  const key = issueDeviceKey(device);
   
-  const total = readings.length;
-  const paginatedReadings = readings.slice(offset, offset + limit);
+  console.log(`â†' Admin ISSUE KEY: ${device.deviceId} (${device.keyPrefix}...)`);
   
   res.json({
-    total,
-    offset,
-    limit,
-    readings: paginatedReadings
+    deviceId: device.deviceId,
+    key,
+    keyPrefix: device.keyPrefix,
+    issuedAt: device.keyIssuedAt
   });
 });
 
-// Get sessions
-app.get('/api/sessions', (req, res) => {
-  const data = loadData();
-  const deviceId = req.query.deviceId;
-  const deviceType = req.query.deviceType;
+// Revoke a device key
+app.delete('/api/admin/devices/:deviceId/key', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
   
-  let sessions = data.sessions;
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
   
-  if (deviceId) {
-    sessions = sessions.filter(s => s.deviceId === deviceId);
+  delete device.keyHash;
+  device.keyPrefix = null;
+  device.keyIssuedAt = null;
+  device.updatedAt = new Date().toISOString();
+  saveDeviceRegistry();
+  
+  const ws = esp32Connections.get(device.deviceId);
+  if (ws) {
+    ws.close(4001, 'Device key revoked');
   }
   
-  if (deviceType) {
-    sessions = sessions.filter(s => s.deviceType === deviceType.toUpperCase());
+  res.json({ success: true, deviceId: device.deviceId });
+});
+
+// Get a registered device
+app.get('/api/admin/devices/:deviceId', requireRole('viewer'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  res.json(sessions);
+  res.json(describeDevice(device));
 });
 
-// Get statistics
-app.get('/api/stats', (req, res) => {
-  const deviceId = req.query.deviceId;
-  const data = loadData();
+// Update device metadata (name, location, tags, expectedType, notes)
+app.put('/api/admin/devices/:deviceId', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
   
-  let readings = data.readings;
-  if (deviceId) {
-    readings = readings.filter(r => r.deviceId === deviceId);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (readings.length === 0) {
-    return res.json({ error: 'No data available' });
+  const error = validateDeviceMetadata(req.body);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
-  // For Vaulter devices
-  const vaulterReadings = readings.filter(r => r.deviceType === 'VAULTER' || !r.deviceType);
-  const vaulterStats = vaulterReadings.length > 0 ? {
-    totalReadings: vaulterReadings.length,
-    voltage: {
-      min: Math.min(...vaulterReadings.map(r => r.voltage).filter(v => v != null)),
-      max: Math.max(...vaulterReadings.map(r => r.voltage).filter(v => v != null)),
-      avg: vaulterReadings.map(r => r.voltage).filter(v => v != null).reduce((a, b) => a + b, 0) / vaulterReadings.filter(r => r.voltage != null).length
-    },
-    current: {
-      min: Math.min(...vaulterReadings.map(r => r.current).filter(c => c != null)),
-      max: Math.max(...vaulterReadings.map(r => r.current).filter(c => c != null)),
-      avg: vaulterReadings.map(r => r.current).filter(c => c != null).reduce((a, b) => a + b, 0) / vaulterReadings.filter(r => r.current != null).length
-    },
-    power: {
-      min: Math.min(...vaulterReadings.map(r => r.power).filter(p => p != null)),
-      max: Math.max(...vaulterReadings.map(r => r.power).filter(p => p != null)),
-      avg: vaulterReadings.map(r => r.power).filter(p => p != null).reduce((a, b) => a + b, 0) / vaulterReadings.filter(r => r.power != null).length
-    }
-  } : null;
-  
-  // For CirquitIQ devices
-  const cirquitiqReadings = readings.filter(r => r.deviceType === 'CIRQUITIQ');
-  const cirquitiqStats = cirquitiqReadings.length > 0 ? {
-    totalReadings: cirquitiqReadings.length,
-    voltage: {
-      min: Math.min(...cirquitiqReadings.map(r => r.voltage).filter(v => v != null)),
-      max: Math.max(...cirquitiqReadings.map(r => r.voltage).filter(v => v != null)),
-      avg: cirquitiqReadings.map(r => r.voltage).filter(v => v != null).reduce((a, b) => a + b, 0) / cirquitiqReadings.filter(r => r.voltage != null).length
-    },
-    channel1: {
-      avgCurrent: cirquitiqReadings.map(r => r.channel1?.current || 0).reduce((a, b) => a + b, 0) / cirquitiqReadings.length,
-      avgPower: cirquitiqReadings.map(r => r.channel1?.power || 0).reduce((a, b) => a + b, 0) / cirquitiqReadings.length,
-      totalEnergy: cirquitiqReadings.map(r => r.channel1?.energy || 0).reduce((a, b) => a + b, 0)
-    },
-    channel2: {
-      avgCurrent: cirquitiqReadings.map(r => r.channel2?.current || 0).reduce((a, b) => a + b, 0) / cirquitiqReadings.length,
-      avgPower: cirquitiqReadings.map(r => r.channel2?.power || 0).reduce((a, b) => a + b, 0) / cirquitiqReadings.length,
-      totalEnergy: cirquitiqReadings.map(r => r.channel2?.energy || 0).reduce((a, b) => a + b, 0)
-    }
-  } : null;
+  Object.assign(device, pickDeviceMetadata(req.body), { updatedAt: new Date().toISOString() });
+  saveDeviceRegistry();
   
-  res.json({
-    vaulter: vaulterStats,
-    cirquitiq: cirquitiqStats
-  });
+  res.json(describeDevice(device));
 });
 
-// ==================== ESP32 DATA ENDPOINT ====================
-
-// POST endpoint for ESP32 to send data
-app.post('/api/data', (req, res) => {
-  const {
-    deviceId,
-    deviceType,
-    voltage,
-    current,
-    power,
-    energy,
-    ssrState,
-    state,
-    sensors,
-    channel1,
-    channel2,
-    totalPower,
-    totalEnergy,
-    totalCost
-  } = req.body;
-  
-  if (!deviceId) {
-    return res.status(400).json({ error: 'Device ID required' });
-  }
+// Remove a device from the registry
+app.delete('/api/admin/devices/:deviceId', requireRole('admin'), (req, res) => {
+  const { deviceId } = req.params;
+  const device = deviceRegistry.get(deviceId);
   
-  // Detect device type if not provided
-  let detectedType = deviceType || 'VAULTER';
-  if (channel1 || channel2) {
-    detectedType = 'CIRQUITIQ';
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  // Register device if new
-  if (!activeDevices.has(deviceId)) {
-    const ip = req.ip || req.connection.remoteAddress;
-    activeDevices.set(deviceId, {
-      deviceType: detectedType,
-      ip,
-      connectedAt: new Date().toISOString(),
-      lastSeen: new Date().toISOString(),
-      isMock: false
-    });
-    
-    createSession(deviceId, ip, detectedType);
-    console.log(`âœ" New device connected: ${deviceId} (${detectedType}) from ${ip}`);
-  } else {
-    // Update last seen
-    const device = activeDevices.get(deviceId);
-    device.lastSeen = new Date().toISOString();
-    device.deviceType = detectedType; // Update device type if changed
-  }
-  
-  // Store reading based on device type
-  let reading;
-  
-  if (detectedType === 'CIRQUITIQ') {
-    reading = {
-      deviceType: 'CIRQUITIQ',
-      voltage: parseFloat(voltage),
-      state: state || 'unknown',
-      sensors: sensors || 'unknown',
-      channel1: channel1 || {},
-      channel2: channel2 || {},
-      totalPower: parseFloat(totalPower) || 0,
-      totalEnergy: parseFloat(totalEnergy) || 0,
-      totalCost: parseFloat(totalCost) || 0
-    };
-  } else {
-    reading = {
-      deviceType: 'VAULTER',
-      voltage: parseFloat(voltage),
-      current: parseFloat(current),
-      power: parseFloat(power),
-      energy: parseFloat(energy),
-      ssrState: ssrState === 'true' || ssrState === true || ssrState === 1,
-      state: state || 'unknown',
-      sensors: sensors || 'unknown'
-    };
+  if (device.status === 'online') {
+    endSession(deviceId);
   }
+  deviceRegistry.delete(deviceId);
+  realtimeData.delete(deviceId);
+  saveDeviceRegistry();
   
-  const entry = addReading(deviceId, reading);
+  console.log(`â†' Admin REMOVE DEVICE: ${deviceId}`);
   
-  // Update realtime data
-  realtimeData.set(deviceId, {
-    ...reading,
-    timestamp: entry.timestamp
-  });
+  res.json({ success: true, deviceId });
+});
+
+// View commands queued for a device
+app.get('/api/admin/devices/:deviceId/queue', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.params;
+  const commands = getQueuedCommands(deviceId);
   
-  // Broadcast to all connected web clients
-  io.emit('sensorData', {
+  res.json({
     deviceId,
-    deviceType: detectedType,
-    ...reading,
-    timestamp: entry.timestamp
+    connected: esp32Connections.has(deviceId),
+    total: commands.length,
+    commands
   });
+});
+
+// Cancel all queued commands for a device
+app.delete('/api/admin/devices/:deviceId/queue', requireRole('operator'), (req, res) => {
+  const { deviceId } = req.params;
+  const cancelled = getQueuedCommands(deviceId).map(entry => cancelQueuedCommand(entry, req.user.username));
   
-  res.json({
-    success: true,
-    timestamp: entry.timestamp,
-    message: 'Data received',
-    deviceType: detectedType
-  });
+  console.log(`â†' Admin CANCEL QUEUE: ${deviceId} (${cancelled.length} command(s))`);
+  
+  res.json({ success: true, deviceId, cancelled });
 });
 
-// ==================== ADMIN CONTROL ENDPOINTS ====================
+// Cancel one queued command
+app.delete('/api/admin/devices/:deviceId/queue/:commandId', requireRole('operator'), (req, res) => {
+  const { deviceId, commandId } = req.params;
+  const entry = getCommand(commandId);
+  
+  if (!entry || entry.deviceId !== deviceId) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  
+  if (entry.status !== 'queued') {
+    return res.status(409).json({ error: `Command is ${entry.status}, not queued` });
+  }
+  
+  res.json({ success: true, command: cancelQueuedCommand(entry, req.user.username) });
+});
 
 // Get command history
-app.get('/api/admin/commands', basicAuth, (req, res) => {
+app.get('/api/admin/commands', requireRole('viewer'), (req, res) => {
   const deviceId = req.query.deviceId;
   const limit = parseInt(req.query.limit) || 100;
   
-  const commandLog = loadCommandLog();
+  const status = req.query.status;
+  
   let commands = commandLog.commands;
   
   if (deviceId) {
     commands = commands.filter(c => c.deviceId === deviceId);
   }
   
+  if (status) {
+    commands = commands.filter(c => c.status === status);
+  }
+  
   res.json({
     total: commands.length,
     commands: commands.slice(-limit)
   });
 });
 
-// Get available commands based on device type
-app.get('/api/admin/commands/available', (req, res) => {
-  const deviceType = req.query.deviceType || 'VAULTER';
+// Get available commands based on device type (all types when unknown)
+app.get('/api/admin/commands/available', requireRole('viewer'), (req, res) => {
+  const deviceType = String(req.query.deviceType || DEFAULT_DEVICE_TYPE).toUpperCase();
+  const drivers = isDeviceType(deviceType) ? [DEVICE_DRIVERS[deviceType]] : Object.values(DEVICE_DRIVERS);
   
-  const vaulterCommands = [
-    {
-      name: 'on',
-      description: 'Turn SSR ON (normal operation)',
-      category: 'SSR Control',
-      deviceType: 'VAULTER',
-      parameters: null
-    },
-    {
-      name: 'off',
-      description: 'Turn SSR OFF (manual disable)',
-      category: 'SSR Control',
-      deviceType: 'VAULTER',
-      parameters: null
-    },
-    {
-      name: 'enable',
-      description: 'Enable SSR (alias for on)',
-      category: 'SSR Control',
-      deviceType: 'VAULTER',
-      parameters: null
-    },
-    {
-      name: 'disable',
-      description: 'Disable SSR (alias for off)',
-      category: 'SSR Control',
-      deviceType: 'VAULTER',
-      parameters: null
-    }
+  const commands = [
+    ...drivers.flatMap(driver => driver.commands.map(command => ({ ...command, deviceType: driver.type }))),
+    ...COMMON_DEVICE_COMMANDS.map(command => ({ ...command, deviceType: 'ALL' }))
   ];
   
-  const cirquitiqCommands = [
-    {
-      name: 'on 1',
-      description: 'Turn Relay 1 ON',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    },
-    {
-      name: 'on 2',
-      description: 'Turn Relay 2 ON',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    },
-    {
-      name: 'on all',
-      description: 'Turn Both Relays ON',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    },
-    {
-      name: 'off 1',
-      description: 'Turn Relay 1 OFF',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    },
-    {
-      name: 'off 2',
-      description: 'Turn Relay 2 OFF',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    },
-    {
-      name: 'off all',
-      description: 'Turn Both Relays OFF',
-      category: 'Relay Control',
-      deviceType: 'CIRQUITIQ',
-      parameters: null
-    }
-  ];
+  res.json({ commands });
+});
+
+// Get a single command and its delivery state
+app.get('/api/admin/commands/:commandId', requireRole('viewer'), (req, res) => {
+  const entry = getCommand(req.params.commandId);
   
-  const commonCommands = [
-    {
-      name: 'reset',
-      description: 'Emergency reset system',
-      category: 'System Control',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'restart',
-      description: 'Restart ESP32',
-      category: 'System Control',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'calibrate',
-      description: 'Start manual calibration',
-      category: 'Calibration',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'cal_voltage',
-      description: 'Start voltage calibration wizard',
-      category: 'Calibration',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'voltage_cal',
-      description: 'Set voltage calibration factor',
-      category: 'Calibration',
-      deviceType: 'ALL',
-      parameters: 'number (0.01-1000)'
-    },
-    {
-      name: 'current_cal',
-      description: 'Set current calibration factor',
-      category: 'Calibration',
-      deviceType: 'ALL',
-      parameters: 'number (0.001-100)'
-    },
-    {
-      name: 'power_factor',
-      description: 'Set power factor',
-      category: 'Settings',
-      deviceType: 'ALL',
-      parameters: 'number (0.1-1.0)'
-    },
-    {
-      name: 'status',
-      description: 'Get current status',
-      category: 'Information',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'test',
-      description: 'Test sensors',
-      category: 'Diagnostics',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'diag',
-      description: 'Full diagnostics',
-      category: 'Diagnostics',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'stats',
-      description: 'Show statistics',
-      category: 'Information',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'manual',
-      description: 'Toggle manual mode',
-      category: 'Settings',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'safety',
-      description: 'Toggle safety checks',
-      category: 'Settings',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'buzzer',
-      description: 'Toggle buzzer',
-      category: 'Settings',
-      deviceType: 'ALL',
-      parameters: null
-    },
-    {
-      name: 'clear',
-      description: 'Clear statistics',
-      category: 'Settings',
-      deviceType: 'ALL',
-      parameters: null
-    }
-  ];
+  if (!entry) {
+    return res.status(404).json({ error: 'Command not found' });
+  }
+  
+  res.json(entry);
+});
+
+// Batch command (send to multiple devices)
+// Registered before /command/:deviceId so 'batch' is not taken as a device ID
+app.post('/api/admin/command/batch', requireRole('operator'), (req, res) => {
+  const { deviceIds, command, parameters } = req.body;
+  
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+    return res.status(400).json({ error: 'deviceIds array required' });
+  }
   
-  let commands = [...commonCommands];
+  if (!command) {
+    return res.status(400).json({ error: 'Command required' });
+  }
   
-  if (deviceType.toUpperCase() === 'VAULTER') {
-    commands = [...vaulterCommands, ...commands];
-  } else if (deviceType.toUpperCase() === 'CIRQUITIQ') {
-    commands = [...cirquitiqCommands, ...commands];
-  } else {
-    commands = [...vaulterCommands, ...cirquitiqCommands, ...commands];
+  const fullCommand = parameters ? `${command} ${parameters}` : command;
+  
+  const requiredRole = requiredRoleForCommand(fullCommand);
+  if (!hasRole(req.user, requiredRole)) {
+    return res.status(403).json({ error: `Command '${command}' requires ${requiredRole} role` });
   }
   
-  res.json({ commands });
+  const results = [];
+  
+  deviceIds.forEach(deviceId => {
+    if (deviceRegistry.has(deviceId)) {
+      const device = deviceRegistry.get(deviceId);
+      const commandEntry = dispatchCommand(deviceId, fullCommand, 'admin', commandOptions(req));
+      results.push({
+        deviceId,
+        deviceType: device.deviceType,
+        success: commandEntry.status !== 'blocked',
+        sentToESP32: commandEntry.status === 'sent',
+        commandId: commandEntry.commandId,
+        commandStatus: commandEntry.status,
+        error: commandEntry.status === 'blocked' ? commandEntry.error : null
+      });
+    } else {
+      results.push({ deviceId, success: false, error: 'Device not found' });
+    }
+  });
+  
+  console.log(`â†' Admin BATCH command to ${deviceIds.length} devices: ${fullCommand}`);
+  
+  res.json({
+    success: true,
+    command: fullCommand,
+    results,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Send command to specific device (with auth)
-app.post('/api/admin/command/:deviceId', basicAuth, (req, res) => {
+app.post('/api/admin/command/:deviceId', requireRole('operator'), (req, res) => {
   const { deviceId } = req.params;
   const { command, parameters } = req.body;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
   if (!command) {
     return res.status(400).json({ error: 'Command required' });
   }
   
-  const device = activeDevices.get(deviceId);
+  const device = deviceRegistry.get(deviceId);
   
   // Build full command with parameters if provided
   let fullCommand = command;
@@ -871,12 +7723,22 @@ app.post('/api/admin/command/:deviceId', basicAuth, (req, res) => {
     fullCommand = `${command} ${parameters}`;
   }
   
-  // Log command
-  logCommand(deviceId, fullCommand, 'admin', true);
+  const requiredRole = requiredRoleForCommand(fullCommand);
+  if (!hasRole(req.user, requiredRole)) {
+    return res.status(403).json({ error: `Command '${command}' requires ${requiredRole} role` });
+  }
+  
+  // Log and deliver command
+  const commandEntry = dispatchCommand(deviceId, fullCommand, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
-  // Emit command to specific device
-  io.emit('command', { deviceId, command: fullCommand });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  if (commandEntry.status === 'blocked') {
+    return res.status(409).json({
+      error: 'Relay is latched off by a protective trip - acknowledge it first',
+      commandId: commandEntry.commandId,
+      trips: latchedTripsFor(deviceId, fullCommand).map(t => t.id)
+    });
+  }
   
   console.log(`â†' Admin command sent to ${deviceId} (${device.deviceType}): ${fullCommand}`);
   
@@ -886,39 +7748,51 @@ app.post('/api/admin/command/:deviceId', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     command: fullCommand,
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // Relay/SSR Control - Turn ON
-app.post('/api/admin/relay/:deviceId/on', basicAuth, (req, res) => {
+app.post('/api/admin/relay/:deviceId/on', requireRole('operator'), (req, res) => {
   const { deviceId } = req.params;
-  const channel = req.query.channel; // Optional: 1, 2, or 'all' for CirquitIQ
+  const channel = req.query.channel; // Optional on multi-channel boards: 1, 2, ... or 'all'
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
-  let command;
+  const device = deviceRegistry.get(deviceId);
+  const driver = deviceDriver(device.deviceType);
+  const target = driverChannel(driver, channel);
   
-  if (device.deviceType === 'CIRQUITIQ') {
-    if (channel === '1') {
-      command = 'on 1';
-    } else if (channel === '2') {
-      command = 'on 2';
-    } else {
-      command = 'on all';
-    }
-  } else {
-    command = 'on';
+  if (target === undefined) {
+    return res.status(400).json({ error: `channel must be 1-${driver.channels.length} or 'all'` });
   }
   
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const latched = getLatchedTrips(deviceId, target);
+  if (latched.length > 0) {
+    return res.status(409).json({
+      error: 'Relay is latched off by a protective trip - acknowledge it first',
+      trips: latched.map(t => t.id)
+    });
+  }
+  
+  const command = driver.relayCommand('on', target);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin Relay ON: ${deviceId} (${device.deviceType}) - ${command}`);
+  emitWebhookEvent('relay.changed', {
+    deviceId,
+    deviceType: device.deviceType,
+    state: 'on',
+    channel: driver.channels.length > 0 ? (channel || 'all') : null,
+    command,
+    commandId: commandEntry.commandId,
+    user: req.user.username
+  });
   
   res.json({
     success: true,
@@ -926,39 +7800,43 @@ app.post('/api/admin/relay/:deviceId/on', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     action: `Relay turned ON: ${command}`,
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // Relay/SSR Control - Turn OFF
-app.post('/api/admin/relay/:deviceId/off', basicAuth, (req, res) => {
+app.post('/api/admin/relay/:deviceId/off', requireRole('operator'), (req, res) => {
   const { deviceId } = req.params;
-  const channel = req.query.channel; // Optional: 1, 2, or 'all' for CirquitIQ
+  const channel = req.query.channel; // Optional on multi-channel boards: 1, 2, ... or 'all'
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
-  let command;
+  const device = deviceRegistry.get(deviceId);
+  const driver = deviceDriver(device.deviceType);
+  const target = driverChannel(driver, channel);
   
-  if (device.deviceType === 'CIRQUITIQ') {
-    if (channel === '1') {
-      command = 'off 1';
-    } else if (channel === '2') {
-      command = 'off 2';
-    } else {
-      command = 'off all';
-    }
-  } else {
-    command = 'off';
+  if (target === undefined) {
+    return res.status(400).json({ error: `channel must be 1-${driver.channels.length} or 'all'` });
   }
   
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const command = driver.relayCommand('off', target);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin Relay OFF: ${deviceId} (${device.deviceType}) - ${command}`);
+  emitWebhookEvent('relay.changed', {
+    deviceId,
+    deviceType: device.deviceType,
+    state: 'off',
+    channel: driver.channels.length > 0 ? (channel || 'all') : null,
+    command,
+    commandId: commandEntry.commandId,
+    user: req.user.username
+  });
   
   res.json({
     success: true,
@@ -966,23 +7844,24 @@ app.post('/api/admin/relay/:deviceId/off', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     action: `Relay turned OFF: ${command}`,
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // System Control - Reset
-app.post('/api/admin/system/:deviceId/reset', basicAuth, (req, res) => {
+app.post('/api/admin/system/:deviceId/reset', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
+  const device = deviceRegistry.get(deviceId);
   const command = 'reset';
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin RESET: ${deviceId} (${device.deviceType})`);
   
@@ -992,23 +7871,24 @@ app.post('/api/admin/system/:deviceId/reset', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     action: 'System reset initiated',
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // System Control - Restart
-app.post('/api/admin/system/:deviceId/restart', basicAuth, (req, res) => {
+app.post('/api/admin/system/:deviceId/restart', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
+  const device = deviceRegistry.get(deviceId);
   const command = 'restart';
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin RESTART: ${deviceId} (${device.deviceType})`);
   
@@ -1018,23 +7898,24 @@ app.post('/api/admin/system/:deviceId/restart', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     action: 'ESP32 restart initiated',
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // Calibration Control
-app.post('/api/admin/calibration/:deviceId/start', basicAuth, (req, res) => {
+app.post('/api/admin/calibration/:deviceId/start', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
+  const device = deviceRegistry.get(deviceId);
   const command = 'calibrate';
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin CALIBRATE: ${deviceId} (${device.deviceType})`);
   
@@ -1044,70 +7925,196 @@ app.post('/api/admin/calibration/:deviceId/start', basicAuth, (req, res) => {
     deviceType: device.deviceType,
     action: 'Calibration started',
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
+// Start a guided calibration session
+// Body: { quantity: 'voltage'|'current', channel?, reference, samples?, tolerancePct? }
+app.post('/api/admin/calibration/:deviceId/sessions', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const reference = typeof req.body.reference === 'string' ? parseFloat(req.body.reference) : req.body.reference;
+  const { session, error, status } = startCalibration(device, { ...req.body, reference }, req.user.username);
+  
+  if (error) {
+    return res.status(status || 400).json({ error });
+  }
+  
+  res.status(201).json(session);
+});
+
+// Calibration sessions for a device
+app.get('/api/admin/calibration/:deviceId/sessions', requireRole('viewer'), (req, res) => {
+  res.json({
+    sessions: calibrationSessions.filter(s => s.deviceId === req.params.deviceId).slice().reverse()
+  });
+});
+
+// Get one calibration session
+app.get('/api/admin/calibration/sessions/:sessionId', requireRole('viewer'), (req, res) => {
+  const session = calibrationSessions.find(s => s.id === req.params.sessionId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Calibration session not found' });
+  }
+  
+  res.json(session);
+});
+
+// Update the reference reading (e.g. the load changed); restarts the current round's samples
+app.post('/api/admin/calibration/sessions/:sessionId/reference', requireRole('admin'), (req, res) => {
+  const session = calibrationSessions.find(s => s.id === req.params.sessionId);
+  const reference = parseFloat(req.body.reference);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Calibration session not found' });
+  }
+  if (!ACTIVE_CALIBRATION_STATES.includes(session.status)) {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  if (!isFinite(reference) || reference <= 0) {
+    return res.status(400).json({ error: 'reference must be the reference meter reading (> 0)' });
+  }
+  
+  session.reference = reference;
+  session.collected = [];
+  session.updatedAt = new Date().toISOString();
+  saveCalibrations();
+  io.emit('calibrationUpdated', session);
+  
+  res.json(session);
+});
+
+// Cancel a calibration session (factors already sent stay as desired config)
+app.post('/api/admin/calibration/sessions/:sessionId/cancel', requireRole('admin'), (req, res) => {
+  const session = calibrationSessions.find(s => s.id === req.params.sessionId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Calibration session not found' });
+  }
+  if (!ACTIVE_CALIBRATION_STATES.includes(session.status)) {
+    return res.status(409).json({ error: `Session is ${session.status}` });
+  }
+  
+  finishCalibration(session, 'cancelled', `Cancelled by ${req.user.username}`);
+  res.json(session);
+});
+
+// Calibration certificates (?deviceId)
+app.get('/api/admin/calibration/certificates', requireRole('viewer'), (req, res) => {
+  const { deviceId } = req.query;
+  res.json({
+    certificates: calibrationCertificates.filter(c => !deviceId || c.deviceId === deviceId).slice().reverse()
+  });
+});
+
+// Get one certificate
+app.get('/api/admin/calibration/certificates/:certificateId', requireRole('viewer'), (req, res) => {
+  const certificate = calibrationCertificates.find(c => c.id === req.params.certificateId);
+  
+  if (!certificate) {
+    return res.status(404).json({ error: 'Certificate not found' });
+  }
+  
+  res.json(certificate);
+});
+
 // Set Configuration
-app.post('/api/admin/config/:deviceId', basicAuth, (req, res) => {
+app.post('/api/admin/config/:deviceId', requireRole('admin'), (req, res) => {
   const { deviceId } = req.params;
   const { parameter, value } = req.body;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
   if (!parameter || value === undefined) {
     return res.status(400).json({ error: 'Parameter and value required' });
   }
   
-  const device = activeDevices.get(deviceId);
-  
-  // Valid parameters
-  const validParams = ['power_factor', 'voltage_cal', 'current_cal', 'ch1_cal', 'ch2_cal', 'rate'];
+  const device = deviceRegistry.get(deviceId);
   
-  if (!validParams.includes(parameter)) {
-    return res.status(400).json({ 
-      error: 'Invalid parameter',
-      validParameters: validParams
-    });
+  const { values, error, validParameters } = validateConfigValues({ [parameter]: value });
+  if (error) {
+    return res.status(400).json({ error, validParameters });
   }
   
-  const command = `${parameter} ${value}`;
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  // Recorded as desired; the device confirms it in its next config report
+  const [commandEntry] = setDesiredConfig(device, values, commandOptions(req));
   
-  // Store in device config
-  if (!deviceConfigs.has(deviceId)) {
-    deviceConfigs.set(deviceId, {});
-  }
-  const config = deviceConfigs.get(deviceId);
-  config[parameter] = value;
-  config.lastUpdated = new Date().toISOString();
-  
-  console.log(`â†' Admin CONFIG: ${deviceId} (${device.deviceType}) - ${parameter} = ${value}`);
+  console.log(`â†' Admin CONFIG: ${deviceId} (${device.deviceType}) - ${parameter} = ${values[parameter]}`);
   
   res.json({
     success: true,
     deviceId,
     deviceType: device.deviceType,
     parameter,
-    value,
-    sentToESP32,
+    value: values[parameter],
+    sentToESP32: commandEntry.commandStatus === 'sent',
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.commandStatus,
     timestamp: new Date().toISOString()
   });
 });
 
+// Desired vs reported configuration
+app.get('/api/admin/config/:deviceId', requireRole('viewer'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  res.json(describeDeviceConfig(device));
+});
+
+// Set several desired values at once ({ desired: { parameter: value } })
+app.put('/api/admin/config/:deviceId', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const { values, error, validParameters } = validateConfigValues(req.body.desired);
+  if (error) {
+    return res.status(400).json({ error, validParameters });
+  }
+  
+  const commands = setDesiredConfig(device, values, commandOptions(req));
+  console.log(`â†' Admin CONFIG: ${device.deviceId} (${device.deviceType}) - ${Object.keys(values).join(', ')}`);
+  
+  res.json({ ...describeDeviceConfig(device), commands });
+});
+
+// Re-push drifted desired values now
+app.post('/api/admin/config/:deviceId/sync', requireRole('admin'), (req, res) => {
+  const device = deviceRegistry.get(req.params.deviceId);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const commands = syncDeviceConfig(device.deviceId);
+  res.json({ ...describeDeviceConfig(device), commands });
+});
+
 // Toggle Settings
-app.post('/api/admin/toggle/:deviceId/:setting', basicAuth, (req, res) => {
+app.post('/api/admin/toggle/:deviceId/:setting', requireRole('operator'), (req, res) => {
   const { deviceId, setting } = req.params;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  const device = activeDevices.get(deviceId);
+  const device = deviceRegistry.get(deviceId);
   const validSettings = ['manual', 'safety', 'buzzer', 'display'];
   
   if (!validSettings.includes(setting)) {
@@ -1118,9 +8125,8 @@ app.post('/api/admin/toggle/:deviceId/:setting', basicAuth, (req, res) => {
   }
   
   const command = setting;
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
+  const sentToESP32 = commandEntry.status === 'sent';
   
   console.log(`â†' Admin TOGGLE ${setting.toUpperCase()}: ${deviceId} (${device.deviceType})`);
   
@@ -1131,86 +8137,135 @@ app.post('/api/admin/toggle/:deviceId/:setting', basicAuth, (req, res) => {
     setting,
     action: `${setting} toggled`,
     sentToESP32,
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
     timestamp: new Date().toISOString()
   });
 });
 
 // Get Device Diagnostics
-app.get('/api/admin/diagnostics/:deviceId', basicAuth, (req, res) => {
+// Stored results for a device (?commandId, command, limit). With
+// ?refresh=true a new `diag` is requested as well; its result arrives later
+// (poll with ?commandId= or listen for the 'commandResult' socket event).
+app.get('/api/admin/diagnostics/:deviceId', requireRole('operator'), (req, res) => {
   const { deviceId } = req.params;
+  const { commandId, command } = req.query;
+  const limit = parseInt(req.query.limit) || 20;
   
-  if (!activeDevices.has(deviceId)) {
-    return res.status(404).json({ error: 'Device not found or offline' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  
+  const device = deviceRegistry.get(deviceId);
+  let request = null;
+  
+  if (req.query.refresh === 'true') {
+    const commandEntry = dispatchCommand(deviceId, 'diag', 'admin', commandOptions(req));
+    request = {
+      sentToESP32: commandEntry.status === 'sent',
+      commandId: commandEntry.commandId,
+      commandStatus: commandEntry.status
+    };
+  }
+  
+  if (commandId) {
+    const entry = getCommand(commandId);
+    if (!entry || entry.deviceId !== deviceId) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+    
+    const result = commandResults.find(r => r.commandId === commandId) || null;
+    return res.status(result ? 200 : 202).json({
+      deviceId,
+      commandId,
+      command: entry.command,
+      commandStatus: entry.status,
+      pending: !result,
+      result
+    });
   }
   
-  const device = activeDevices.get(deviceId);
-  const command = 'diag';
-  logCommand(deviceId, command, 'admin', true);
-  io.emit('command', { deviceId, command });
-  const sentToESP32 = sendCommandToESP32(deviceId, command);
+  const results = commandResults
+    .filter(r => r.deviceId === deviceId && (!command || r.command === command))
+    .slice(-limit)
+    .reverse();
   
   res.json({
     success: true,
     deviceId,
     deviceType: device.deviceType,
-    message: 'Diagnostics requested - check device serial output',
-    sentToESP32,
+    latest: results[0] || null,
+    results,
+    request,
     timestamp: new Date().toISOString()
   });
 });
 
-// Batch command (send to multiple devices)
-app.post('/api/admin/command/batch', basicAuth, (req, res) => {
-  const { deviceIds, command, parameters } = req.body;
+// Request status/diag/test/stats output ({ command }, default 'diag')
+app.post('/api/admin/diagnostics/:deviceId', requireRole('operator'), (req, res) => {
+  const { deviceId } = req.params;
+  const command = req.body.command || 'diag';
   
-  if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
-    return res.status(400).json({ error: 'deviceIds array required' });
+  if (!deviceRegistry.has(deviceId)) {
+    return res.status(404).json({ error: 'Device not found' });
   }
   
-  if (!command) {
-    return res.status(400).json({ error: 'Command required' });
+  if (!RESULT_COMMANDS.includes(command)) {
+    return res.status(400).json({ error: `command must be one of ${RESULT_COMMANDS.join(', ')}` });
   }
   
-  const fullCommand = parameters ? `${command} ${parameters}` : command;
-  const results = [];
-  
-  deviceIds.forEach(deviceId => {
-    if (activeDevices.has(deviceId)) {
-      const device = activeDevices.get(deviceId);
-      logCommand(deviceId, fullCommand, 'admin', true);
-      io.emit('command', { deviceId, command: fullCommand });
-      const sentToESP32 = sendCommandToESP32(deviceId, fullCommand);
-      results.push({ deviceId, deviceType: device.deviceType, success: true });
-    } else {
-      results.push({ deviceId, success: false, error: 'Device not found' });
-    }
-  });
-  
-  console.log(`â†' Admin BATCH command to ${deviceIds.length} devices: ${fullCommand}`);
+  const device = deviceRegistry.get(deviceId);
+  const commandEntry = dispatchCommand(deviceId, command, 'admin', commandOptions(req));
   
-  res.json({
+  res.status(202).json({
     success: true,
-    command: fullCommand,
-    results,
-    sentToESP32,
+    deviceId,
+    deviceType: device.deviceType,
+    message: `${command} requested - result follows as a 'commandResult' event`,
+    sentToESP32: commandEntry.status === 'sent',
+    commandId: commandEntry.commandId,
+    commandStatus: commandEntry.status,
+    resultUrl: `/api/admin/diagnostics/${encodeURIComponent(deviceId)}?commandId=${commandEntry.commandId}`,
     timestamp: new Date().toISOString()
   });
 });
 
 // ==================== WEBSOCKET HANDLING ====================
 
+// Dashboard sockets authenticate with a token (handshake auth.token or
+// ?token=): any signed-in user may watch live data, sending commands needs an
+// operator (or admin for admin commands).
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+  let user;
+  try {
+    user = token ? verifyToken(token) : null;
+  } catch (error) {
+    return next(error);
+  }
+  
+  if (!user) {
+    return next(new Error(token ? 'Invalid or expired token' : 'Authentication required'));
+  }
+  socket.data.user = user;
+  
+  next();
+});
+
 io.on('connection', (socket) => {
   console.log('âœ" Web client connected:', socket.id);
   
   // Send current active devices and latest data
-  const devices = Array.from(activeDevices.entries()).map(([id, device]) => ({
-    deviceId: id,
-    deviceType: device.deviceType
-  }));
+  const devices = Array.from(deviceRegistry.values())
+    .filter(device => device.status === 'online')
+    .map(device => ({
+      deviceId: device.deviceId,
+      deviceType: device.deviceType
+    }));
   socket.emit('activeDevices', devices);
   
   realtimeData.forEach((data, deviceId) => {
-    const device = activeDevices.get(deviceId);
+    const device = deviceRegistry.get(deviceId);
     socket.emit('sensorData', { 
       deviceId, 
       deviceType: device?.deviceType,
@@ -1223,34 +8278,52 @@ io.on('connection', (socket) => {
   });
   
   // Handle command from web client
-  socket.on('sendCommand', ({ deviceId, command }) => {
-    if (activeDevices.has(deviceId)) {
-      const device = activeDevices.get(deviceId);
-      logCommand(deviceId, command, 'websocket', true);
-      io.emit('command', { deviceId, command });
-      console.log(`â†' Command from web: ${command} to ${deviceId} (${device.deviceType})`);
+  socket.on('sendCommand', ({ deviceId, command } = {}) => {
+    const user = socket.data.user ? findUser(socket.data.user.username) : null;
+    const requiredRole = requiredRoleForCommand(command);
+    
+    if (!hasRole(user, requiredRole)) {
+      socket.emit('commandError', { deviceId, command, error: user ? `Requires ${requiredRole} role` : 'Authentication required' });
+      return;
+    }
+    
+    if (deviceRegistry.has(deviceId)) {
+      const device = deviceRegistry.get(deviceId);
+      const entry = dispatchCommand(deviceId, command, 'websocket', { user: user.username });
+      if (entry.status === 'blocked') {
+        socket.emit('commandError', { deviceId, command, commandId: entry.commandId, error: entry.error });
+      }
+      console.log(`â†' Command from web: ${command} to ${deviceId} (${device.deviceType}) by ${user.username}`);
+    } else {
+      socket.emit('commandError', { deviceId, command, error: 'Device not found' });
     }
   });
 });
 
 // ==================== CLEANUP ====================
 
-// Device timeout check (mark inactive after 60 seconds)
+// Device timeout check (mark offline after 60 seconds)
 setInterval(() => {
   const now = Date.now();
-  const timeout = 60000; // 60 seconds
   
-  activeDevices.forEach((device, deviceId) => {
+  deviceRegistry.forEach((device, deviceId) => {
+    if (device.status !== 'online') return;
+    
     const lastSeen = new Date(device.lastSeen).getTime();
     
-    if (now - lastSeen > timeout) {
+    if (now - lastSeen > DEVICE_TIMEOUT) {
       console.log(`âš ï¸  Device ${deviceId} (${device.deviceType}) timed out (no data for 60s)`);
-      activeDevices.delete(deviceId);
+      device.status = 'offline';
       endSession(deviceId);
+      markRelayStatesUnknown(deviceId, device);
+      saveDeviceRegistry();
       
       io.emit('deviceDisconnected', { deviceId, deviceType: device.deviceType });
+      emitWebhookEvent('device.disconnected', { deviceId, deviceType: device.deviceType, lastSeen: device.lastSeen });
     }
   });
+  
+  expireQueuedCommands();
 }, 30000); // Check every 30 seconds
 
 wss.on('connection', (ws, req) => {
@@ -1271,10 +8344,32 @@ wss.on('connection', (ws, req) => {
          const data = JSON.parse(message.toString());
          
          if (data.type === 'register') {
+           if (!data.deviceId) {
+             ws.send(JSON.stringify({ type: 'error', error: 'Device ID required' }));
+             return;
+           }
+           
+           const auth = authenticateDevice(data.deviceId, data.key, {
+             deviceType: data.deviceType,
+             ip: req.socket.remoteAddress,
+             transport: 'websocket'
+           });
+           if (!auth.ok) {
+             console.log(`✗ ESP32 registration rejected for ${data.deviceId}: ${auth.error}`);
+             ws.send(JSON.stringify({ type: 'error', error: auth.error, timestamp: new Date().toISOString() }));
+             ws.close(auth.status === 403 ? 4003 : 4001, auth.error);
+             return;
+           }
+           
            deviceId = data.deviceId;
-           deviceType = data.deviceType || 'CIRQUITIQ';
+           // Without a declared type, readings use the registered one (or are
+           // matched to a driver by shape)
+           const known = deviceRegistry.get(deviceId);
+           deviceType = data.deviceType
+             ? String(data.deviceType).toUpperCase()
+             : known?.expectedType || known?.deviceType || null;
            esp32Connections.set(deviceId, ws);
-           console.log(`✓ ESP32 device registered: ${deviceId} (${deviceType})`);
+           console.log(`✓ ESP32 device registered: ${deviceId} (${deviceType || 'type not declared'})`);
            
            ws.send(JSON.stringify({
              type: 'registered',
@@ -1283,6 +8378,16 @@ wss.on('connection', (ws, req) => {
              timestamp: new Date().toISOString()
            }));
            
+           recordFirmwareVersion(deviceId, data.firmwareVersion, deviceType);
+           flushCommandQueue(deviceId);
+           // Firmware may include its current settings when registering
+           if (data.config) {
+             handleConfigReport(deviceId, data);
+           }
+           syncDeviceConfig(deviceId);
+           
+           // A repeated register must not leave the previous ping timer running
+           clearInterval(pingInterval);
            pingInterval = setInterval(() => {
              if (ws.readyState === WebSocket.OPEN) {
                ws.ping();
@@ -1290,14 +8395,52 @@ wss.on('connection', (ws, req) => {
            }, 30000);
          } 
          else if (data.type === 'commandAck') {
-           console.log(`✓ Command acknowledged by ${deviceId}: ${data.command}`);
-           logCommand(deviceId || 'unknown', data.command, 'esp32-ack', data.success);
-           io.emit('commandAck', {
+           if (!deviceId) {
+             ws.send(JSON.stringify({ type: 'error', error: 'Register before acknowledging commands' }));
+             return;
+           }
+           receiveCommandAck(deviceId, data);
+         }
+         else if (data.type === 'commandResult' || data.type === 'diagnostics') {
+           if (!deviceId) {
+             ws.send(JSON.stringify({ type: 'error', error: 'Register before sending results' }));
+             return;
+           }
+           handleCommandResult(deviceId, data);
+         }
+         else if (data.type === 'otaProgress' || data.type === 'otaResult') {
+           if (!deviceId) {
+             ws.send(JSON.stringify({ type: 'error', error: 'Register before reporting updates' }));
+             return;
+           }
+           handleOtaMessage(deviceId, data);
+         }
+         else if (data.type === 'config') {
+           if (!deviceId) {
+             ws.send(JSON.stringify({ type: 'error', error: 'Register before reporting config' }));
+             return;
+           }
+           handleConfigReport(deviceId, data);
+         }
+         else if (data.type === 'reading' || data.type === 'readings') {
+           // Same ingestion path as POST /api/data. A registered connection
+           // may only report for its own device.
+           const payloads = data.type === 'readings' ? (Array.isArray(data.readings) ? data.readings : []) : [data];
+           // Unregistered connections authenticate each reading
+           const { accepted, rejected } = ingestDevicePayloads(payloads, {
              deviceId,
-             command: data.command,
-             success: data.success,
-             timestamp: new Date().toISOString()
+             deviceType,
+             ip: req.socket.remoteAddress,
+             transport: 'websocket',
+             authenticated: Boolean(deviceId)
            });
+           
+           ws.send(JSON.stringify({
+             type: 'readingAck',
+             accepted,
+             rejected,
+             timestamp: new Date().toISOString()
+           }));
          }
          else if (data.type === 'ping') {
            ws.send(JSON.stringify({
@@ -1317,7 +8460,9 @@ wss.on('connection', (ws, req) => {
      ws.on('close', () => {
        if (deviceId) {
          console.log(`✗ ESP32 disconnected: ${deviceId}`);
-         esp32Connections.delete(deviceId);
+         if (esp32Connections.get(deviceId) === ws) {
+           esp32Connections.delete(deviceId);
+         }
          if (pingInterval) {
            clearInterval(pingInterval);
          }
@@ -1328,53 +8473,225 @@ wss.on('connection', (ws, req) => {
        // Connection alive
      });
    });
+// ==================== MQTT TRANSPORT ====================
+
+let mqttClient = null;
+const mqttDevices = new Map(); // deviceId -> last accepted telemetry (ms)
+
+function mqttTopic(deviceId, suffix) {
+  return `${MQTT_TOPIC_PREFIX}/${deviceId}/${suffix}`;
+}
+
+// Helper: A device is reachable over MQTT while it keeps publishing telemetry
+function isMqttReachable(deviceId) {
+  return Boolean(mqttClient && mqttClient.connected) &&
+    Date.now() - (mqttDevices.get(deviceId) || 0) < DEVICE_TIMEOUT;
+}
+
+// Helper: Check the device key carried in an ack/config/result/ota message.
+// Unkeyed devices are only trusted in open mode, as on /api/data.
+function verifyMqttDeviceKey(deviceId, key) {
+  const device = deviceRegistry.get(deviceId);
+  if (device && device.keyHash) {
+    return typeof key === 'string' && verifyDeviceKey(key, device.keyHash);
+  }
+  return DEVICE_AUTH_MODE === 'open';
+}
+
+function handleMqttMessage(topic, message) {
+  if (!topic.startsWith(`${MQTT_TOPIC_PREFIX}/`)) return;
+  const parts = topic.slice(MQTT_TOPIC_PREFIX.length + 1).split('/');
+  if (parts.length !== 2) return;
+  const [deviceId, kind] = parts;
+  
+  let data;
+  try {
+    data = JSON.parse(message.toString());
+  } catch (error) {
+    console.error(`✗ Invalid JSON on MQTT topic ${topic}`);
+    return;
+  }
+  
+  if (kind === 'telemetry') {
+    // A message may carry one reading, an array, or { readings: [...] }
+    const payloads = Array.isArray(data) ? data : (Array.isArray(data?.readings) ? data.readings : [data]);
+    const wasReachable = isMqttReachable(deviceId);
+    const { accepted, rejected } = ingestDevicePayloads(payloads, {
+      deviceId,
+      ip: 'mqtt',
+      transport: 'mqtt',
+      authenticated: false
+    });
+    
+    // There is no reply channel, so schema issues only go to the log
+    rejected.forEach(({ index, error, errors }) => {
+      const details = errors ? ` (${errors.map(issue => issue.message).join('; ')})` : '';
+      console.log(`✗ MQTT reading ${index} from ${deviceId} rejected: ${error}${details}`);
+    });
+    
+    if (accepted > 0) {
+      mqttDevices.set(deviceId, Date.now());
+      if (!wasReachable) {
+        console.log(`✓ ESP32 reachable over MQTT: ${deviceId}`);
+        flushCommandQueue(deviceId);
+        syncDeviceConfig(deviceId);
+      }
+    }
+  } else if (kind === 'ack' || kind === 'config' || kind === 'result' || kind === 'ota') {
+    // Anyone can publish to the broker, so these need the device key too
+    const { key, ...fields } = data || {};
+    if (!verifyMqttDeviceKey(deviceId, key)) {
+      console.log(`✗ Ignoring MQTT ${kind} from ${deviceId}: invalid or missing device key`);
+      return;
+    }
+    data = fields;
+    
+    if (kind === 'ack') {
+      receiveCommandAck(deviceId, data);
+    } else if (kind === 'result') {
+      handleCommandResult(deviceId, { type: 'commandResult', ...data });
+    } else if (kind === 'ota') {
+      // { progress } while updating, { success } when done
+      handleOtaMessage(deviceId, { type: data.success !== undefined ? 'otaResult' : 'otaProgress', ...data });
+    } else {
+      handleConfigReport(deviceId, data);
+    }
+  }
+}
+
+function startMqtt() {
+  if (!MQTT_URL) return;
+  
+  mqttClient = mqtt.connect(MQTT_URL, {
+    clientId: `power-monitor-${crypto.randomBytes(4).toString('hex')}`,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    reconnectPeriod: 5000
+  });
+  
+  mqttClient.on('connect', () => {
+    console.log(`✓ Connected to MQTT broker ${MQTT_URL}`);
+    mqttClient.subscribe([mqttTopic('+', 'telemetry'), mqttTopic('+', 'ack'), mqttTopic('+', 'config'), mqttTopic('+', 'result'), mqttTopic('+', 'ota')], { qos: 1 }, (error) => {
+      if (error) console.error('Error subscribing to MQTT topics:', error.message);
+    });
+  });
+  mqttClient.on('message', (topic, message) => {
+    try {
+      handleMqttMessage(topic, message);
+    } catch (error) {
+      console.error('Error handling MQTT message:', error);
+    }
+  });
+  mqttClient.on('offline', () => console.log('✗ MQTT broker offline, reconnecting...'));
+  mqttClient.on('error', (error) => console.error('MQTT error:', error.message));
+}
+
+startMqtt();
+
 // ==================== SERVER START ====================
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log('\n========================================');
-  console.log('Multi-Device Monitoring Server Started');
-  console.log('Version 3.0 - Vaulter + CirquitIQ Support');
-  console.log('========================================');
-  console.log(`Server running on port: ${PORT}`);
-  console.log(`Dashboard: http://localhost:${PORT}`);
-  console.log(`API: http://localhost:${PORT}/api`);
-  console.log(`Admin API: http://localhost:${PORT}/api/admin`);
-  console.log(`Data directory: ${DATA_DIR}`);
-  console.log('\n--- Supported Devices ---');
-  console.log('• Vaulter: Single-channel SSR monitor');
-  console.log('• CirquitIQ: Dual-channel relay monitor');
-  console.log('\n--- Admin Credentials ---');
-  console.log(`Username: ${ADMIN_USERNAME}`);
-  console.log(`Password: ${ADMIN_PASSWORD}`);
-  console.log('(Change via environment variables)');
-  console.log('========================================\n');
-  console.log('ðŸ" TESTING WITHOUT HARDWARE:');
-  console.log(`   POST http://localhost:${PORT}/api/mock/data/TEST_VAULTER?type=VAULTER`);
-  console.log(`   POST http://localhost:${PORT}/api/mock/data/TEST_CIRQUITIQ?type=CIRQUITIQ`);
-  console.log('   This will generate realistic mock data\n');
-  console.log('ðŸš€ RENDER DEPLOYMENT READY');
-  console.log('   PORT is automatically configured from environment\n');
-  console.log('Waiting for ESP32 connections...\n');
-});
+// Only listen when run directly; tests require the module for its helpers
+if (require.main === module) {
+  bootstrapAdminUser().then(() => server.listen(PORT, '0.0.0.0', () => {
+    console.log('\n========================================');
+    console.log('Multi-Device Monitoring Server Started');
+    console.log('Version 3.0 - Vaulter + CirquitIQ Support');
+    console.log('========================================');
+    console.log(`Server running on port: ${PORT}`);
+    console.log(`Dashboard: http://localhost:${PORT}`);
+    console.log(`API: http://localhost:${PORT}/api`);
+    console.log(`Admin API: http://localhost:${PORT}/api/admin`);
+    console.log(`Data directory: ${DATA_DIR}`);
+    console.log('\n--- Supported Devices ---');
+    console.log('• Vaulter: Single-channel SSR monitor');
+    console.log('• CirquitIQ: Dual-channel relay monitor');
+    console.log(`Device auth mode: ${DEVICE_AUTH_MODE}`);
+    console.log(`MQTT: ${MQTT_URL ? `${MQTT_URL} (topics ${MQTT_TOPIC_PREFIX}/<deviceId>/telemetry|ack|config|result|ota|cmd)` : 'disabled (set MQTT_URL)'}`);
+    console.log('\n--- Authentication ---');
+    console.log(`Users: ${users.length} (roles: viewer, operator, admin)`);
+    console.log(`Login: POST http://localhost:${PORT}/api/auth/login`);
+    console.log('========================================\n');
+    console.log('ðŸ" TESTING WITHOUT HARDWARE:');
+    console.log(`   POST http://localhost:${PORT}/api/mock/data/TEST_VAULTER?type=VAULTER`);
+    console.log(`   POST http://localhost:${PORT}/api/mock/data/TEST_CIRQUITIQ?type=CIRQUITIQ`);
+    console.log(`   This will generate realistic mock data (admin, up to ${MAX_MOCK_READINGS} per request with ?count=)`);
+    console.log(`   POST http://localhost:${PORT}/api/mock/simulator/devices (admin) starts simulated devices on /ws\n`);
+    resumeSimulator();
+    if (simulatedDevices.size > 0) {
+      console.log(`Resumed ${simulatedDevices.size} simulated device(s)\n`);
+    }
+    console.log('ðŸš€ RENDER DEPLOYMENT READY');
+    console.log('   PORT is automatically configured from environment\n');
+    console.log('Waiting for ESP32 connections...\n');
+  })).catch(error => {
+    console.error('Error starting server:', error);
+    process.exit(1);
+  });
+}
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+let shuttingDown = false;
+
+function shutdown() {
+  if (shuttingDown) return;
+  shuttingDown = true;
   console.log('\n\nShutting down server...');
   
+  // Simulated devices stop first so they don't reconnect while closing
+  stopSimulator();
+  
   // End all active sessions
-  activeDevices.forEach((device, deviceId) => {
-    endSession(deviceId);
+  deviceRegistry.forEach((device, deviceId) => {
+    if (device.status === 'online') {
+      endSession(deviceId);
+    }
   });
+  saveDeviceRegistry();
+  saveCommandLog();
+  if (webhookSaveTimer) {
+    saveWebhooks();
+  }
+  if (pendingDevicesDirty) {
+    savePendingDevices();
+  }
   
-esp32Connections.forEach((ws, deviceId) => {
-     console.log(`Closing connection to ${deviceId}...`);
-     ws.close();
-   });
-
-  server.close(() => {
-    console.log('âœ" Server shut down gracefully');
-    process.exit(0);
+  // Write buffered readings before exiting, after any batch already being
+  // written; whatever is left when the wait times out is written synchronously
+  const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_FLUSH_TIMEOUT));
+  Promise.race([flushReadings(), timeout]).then(() => {
+    flushReadingsSync();
+    saveEnergyLedger();
+    
+    if (mqttClient) {
+      mqttClient.end(true);
+    }
+    
+    esp32Connections.forEach((ws, deviceId) => {
+      console.log(`Closing connection to ${deviceId}...`);
+      ws.close();
+    });
+    
+    server.close(() => {
+      console.log('âœ" Server shut down gracefully');
+      process.exit(0);
+    });
   });
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = {
+  app,
+  server,
+  io,
+  createUser,
+  signToken,
+  verifyToken,
+  normalizeTariff,
+  priceEnergy,
+  parseRangeQuery,
+  csvCell,
+  firmwareDownloadUrl,
+  verifyFirmwareDownload
+};
\ No newline at end of file
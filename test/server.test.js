@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its stores in DATA_DIR; point it at a scratch directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'power-monitor-test-'));
+process.env.AUTH_SECRET = 'test-secret';
+
+const {
+  createUser,
+  signToken,
+  verifyToken,
+  normalizeTariff,
+  priceEnergy,
+  parseRangeQuery,
+  csvCell,
+  firmwareDownloadUrl,
+  verifyFirmwareDownload
+} = require('../server');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('verifyToken', async (t) => {
+  const user = await createUser({ username: 'tester', password: 'secret', role: 'viewer' });
+  const token = signToken(user);
+  const [header, payload, signature] = token.split('.');
+  
+  await t.test('accepts a valid token', () => {
+    assert.strictEqual(verifyToken(token), user);
+  });
+  
+  await t.test('rejects malformed input without throwing', () => {
+    for (const value of [undefined, null, '', 'abc', 'a.b', 'a..c', '...', 42, {}]) {
+      assert.strictEqual(verifyToken(value), null, `token ${JSON.stringify(value)}`);
+    }
+  });
+  
+  await t.test('rejects signatures of the wrong length', () => {
+    assert.strictEqual(verifyToken(`${header}.${payload}.x`), null);
+    assert.strictEqual(verifyToken(`${header}.${payload}.${signature}x`), null);
+    // Same character count, more bytes
+    assert.strictEqual(verifyToken(`${header}.${payload}.${'é'.repeat(signature.length)}`), null);
+  });
+  
+  await t.test('rejects a tampered payload', () => {
+    const forged = Buffer.from(JSON.stringify({ sub: 'tester', role: 'admin', tv: 0, exp: 9999999999 })).toString('base64url');
+    assert.strictEqual(verifyToken(`${header}.${forged}.${signature}`), null);
+  });
+  
+  await t.test('rejects tokens of revoked or disabled users', () => {
+    user.tokenVersion++;
+    assert.strictEqual(verifyToken(token), null);
+    user.tokenVersion--;
+    
+    user.disabled = true;
+    assert.strictEqual(verifyToken(token), null);
+    user.disabled = false;
+  });
+  
+  await t.test('rejects expired tokens', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 365 * 24 * 60 * 60 * 1000 });
+    assert.strictEqual(verifyToken(token), null);
+  });
+});
+
+test('priceEnergy', async (t) => {
+  await t.test('prices flat tariffs at one rate', () => {
+    const { tariff } = normalizeTariff({ name: 'Flat', type: 'flat', currency: 'php', rate: 10 });
+    assert.deepStrictEqual(priceEnergy(tariff, 2, new Date(), 0), [{ label: 'flat', kwh: 2, rate: 10, amount: 20 }]);
+  });
+  
+  await t.test('splits tiered increments across tier boundaries', () => {
+    const { tariff } = normalizeTariff({
+      name: 'Tiered',
+      type: 'tiered',
+      currency: 'PHP',
+      tiers: [{ upTo: 100, rate: 5 }, { upTo: 200, rate: 8 }, { upTo: null, rate: 12 }]
+    });
+    
+    assert.deepStrictEqual(priceEnergy(tariff, 150, new Date(), 90), [
+      { label: '0-100 kWh', kwh: 10, rate: 5, amount: 50 },
+      { label: '100-200 kWh', kwh: 100, rate: 8, amount: 800 },
+      { label: '200-∞ kWh', kwh: 40, rate: 12, amount: 480 }
+    ]);
+    assert.deepStrictEqual(priceEnergy(tariff, 5, new Date(), 250), [
+      { label: '200-∞ kWh', kwh: 5, rate: 12, amount: 60 }
+    ]);
+  });
+  
+  await t.test('prices time-of-use increments by the period in the tariff time zone', () => {
+    const { tariff } = normalizeTariff({
+      name: 'TOU',
+      type: 'tou',
+      currency: 'PHP',
+      timezone: 'Asia/Manila',
+      periods: [
+        { name: 'peak', days: [1, 2, 3, 4, 5], start: '18:00', end: '22:00', rate: 15 },
+        { name: 'night', start: '22:00', end: '06:00', rate: 4 }
+      ],
+      defaultRate: 9
+    });
+    const price = (iso) => priceEnergy(tariff, 1, new Date(iso), 0)[0];
+    
+    // Monday 19:00 in Manila (UTC+8)
+    assert.deepStrictEqual(price('2024-01-15T11:00:00Z'), { label: 'peak', kwh: 1, rate: 15, amount: 15 });
+    // Saturday 19:00: weekday-only peak doesn't apply
+    assert.strictEqual(price('2024-01-20T11:00:00Z').label, 'default');
+    // Monday 02:00, inside the period that wraps midnight
+    assert.strictEqual(price('2024-01-14T18:00:00Z').label, 'night');
+    // Monday 12:00
+    assert.deepStrictEqual(price('2024-01-15T04:00:00Z'), { label: 'default', kwh: 1, rate: 9, amount: 9 });
+  });
+});
+
+test('parseRangeQuery', async (t) => {
+  await t.test('normalizes from/to', () => {
+    assert.deepStrictEqual(parseRangeQuery({ from: '2024-01-01', to: '2024-01-02T00:00:00+08:00' }), {
+      from: '2024-01-01T00:00:00.000Z',
+      to: '2024-01-01T16:00:00.000Z'
+    });
+    assert.deepStrictEqual(parseRangeQuery({}), {});
+  });
+  
+  await t.test('rejects invalid or reversed timestamps', () => {
+    assert.match(parseRangeQuery({ from: 'yesterday' }).error, /'from'/);
+    assert.match(parseRangeQuery({ to: '2024-13-45' }).error, /'to'/);
+    assert.match(parseRangeQuery({ from: '2024-01-02', to: '2024-01-01' }).error, /before/);
+  });
+  
+  await t.test('parses buckets', () => {
+    const range = parseRangeQuery({ from: '2024-01-01', to: '2024-01-02', bucket: '15m' });
+    assert.strictEqual(range.bucket, '15m');
+    assert.strictEqual(range.bucketMs, 15 * 60 * 1000);
+    
+    for (const bucket of ['0m', '15', '1w', 'h', '-1h']) {
+      assert.match(parseRangeQuery({ bucket }).error, /Invalid 'bucket'/, bucket);
+    }
+  });
+  
+  await t.test('caps the number of buckets', () => {
+    // 10000 one-minute buckets
+    assert.ok(!parseRangeQuery({ from: '2024-01-01T00:00:00Z', to: '2024-01-07T22:40:00Z', bucket: '1m' }).error);
+    assert.match(parseRangeQuery({ from: '2024-01-01T00:00:00Z', to: '2024-01-07T22:41:00Z', bucket: '1m' }).error, /Too many buckets/);
+    // Open-ended ranges are checked up to now
+    assert.match(parseRangeQuery({ from: '2020-01-01T00:00:00Z', bucket: '1s' }).error, /Too many buckets/);
+  });
+});
+
+test('csvCell', async (t) => {
+  await t.test('leaves plain values as they are', () => {
+    assert.strictEqual(csvCell('Vaulter'), 'Vaulter');
+    assert.strictEqual(csvCell(230.5), '230.5');
+    assert.strictEqual(csvCell(-1.5), '-1.5');
+    assert.strictEqual(csvCell(true), 'true');
+  });
+  
+  await t.test('writes missing and non-finite values as empty cells', () => {
+    for (const value of [null, undefined, NaN, Infinity]) {
+      assert.strictEqual(csvCell(value), '');
+    }
+  });
+  
+  await t.test('quotes separators, quotes and line breaks', () => {
+    assert.strictEqual(csvCell('a,b'), '"a,b"');
+    assert.strictEqual(csvCell('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(csvCell('line\nbreak'), '"line\nbreak"');
+    assert.strictEqual(csvCell({ ch1: 'ok', ch2: 'fault' }), '"{""ch1"":""ok"",""ch2"":""fault""}"');
+  });
+  
+  await t.test('escapes text that spreadsheets would run as a formula', () => {
+    assert.strictEqual(csvCell('=1+1'), "'=1+1");
+    assert.strictEqual(csvCell('+1'), "'+1");
+    assert.strictEqual(csvCell('-2+3'), "'-2+3");
+    assert.strictEqual(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.strictEqual(csvCell('\tcmd'), "'\tcmd");
+    assert.strictEqual(csvCell('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+    assert.strictEqual(csvCell('\rcmd'), '"\'\rcmd"');
+  });
+});
+
+test('verifyFirmwareDownload', async (t) => {
+  const image = { id: 'fw_test' };
+  const expires = Math.floor(Date.now() / 1000) + 600;
+  const signed = (deviceId, time) => Object.fromEntries(new URL(firmwareDownloadUrl('http://localhost', image, deviceId, time)).searchParams);
+  
+  await t.test('requires a signed URL', () => {
+    assert.strictEqual(verifyFirmwareDownload(image.id, {}).status, 401);
+    assert.strictEqual(verifyFirmwareDownload(image.id, { deviceId: 'DEV1', expires }).status, 401);
+  });
+  
+  await t.test('rejects signatures for another image, device or expiry', () => {
+    const query = signed('DEV1', expires);
+    assert.strictEqual(verifyFirmwareDownload('fw_other', query).error, 'Invalid download signature');
+    assert.strictEqual(verifyFirmwareDownload(image.id, { ...query, deviceId: 'DEV2' }).error, 'Invalid download signature');
+    assert.strictEqual(verifyFirmwareDownload(image.id, { ...query, expires: expires + 1 }).error, 'Invalid download signature');
+  });
+  
+  await t.test('rejects malformed signatures without throwing', () => {
+    const query = signed('DEV1', expires);
+    for (const signature of ['x', `${query.signature}0`, 'é'.repeat(query.signature.length), ['a', 'b']]) {
+      assert.strictEqual(verifyFirmwareDownload(image.id, { ...query, signature }).status, 401);
+    }
+  });
+  
+  await t.test('rejects expired URLs', () => {
+    assert.deepStrictEqual(verifyFirmwareDownload(image.id, signed('DEV1', expires - 1200)), { status: 410, error: 'Download URL expired' });
+  });
+  
+  await t.test('requires an update in progress for the device', () => {
+    assert.deepStrictEqual(verifyFirmwareDownload(image.id, signed('DEV1', expires)), { status: 409, error: 'No update in progress for this device' });
+  });
+});